@@ -0,0 +1,326 @@
+// ========================================
+// 점프맵 (Jump Map) - Stage Checker
+// ========================================
+// Searches each stage with the real simulation (simulation.js) for a way to
+// the checkpoint, so impossible or trivially skippable edits are caught
+// before they ship. Every state of the search is a moment the player lands;
+// from there it tries jumps toward each platform at several speeds, walking
+// and waiting, and keeps the earliest landings on each platform. Timing
+// matters on stages with moving, blinking or crumbling platforms and
+// hazards, so there a platform keeps one state per SEARCH.timeBucket.
+//
+// The moves are a fixed menu, so the time found is what that menu achieves:
+// an upper bound on the real best, usually close to it.
+//
+//     node check-stages.js                  every built-in stage
+//     node check-stages.js 5 12             built-in stages 5 and 12
+//     node check-stages.js pack.json 3      stage 3 of a level pack file
+//     node check-stages.js stage.json       one stage saved on its own
+//
+// Needs three (npm install three@0.128). Exits with 1 when any checked stage
+// is invalid or can't be finished, or a requested id matches no stage.
+
+const fs = require('fs');
+const {
+    MOVEMENT_PROFILE, PHYSICS_STEP, getPlatformPhysics,
+    Body, createWorld, stepWorld, saveWorld, restoreWorld, validateStageFields
+} = require('./simulation.js');
+const BUILTIN_LEVELS = require('./levels.js');
+
+const SEARCH = {
+    maxTime: 60,               // Seconds of play explored per stage
+    maxStates: 400,            // States expanded per stage before giving up
+    timeBucket: 0.5,           // Seconds; landings closer than this on one platform are one state
+    statesPerPlatform: 12,     // Most states kept per platform where timing matters
+    hopTicks: 360,             // Longest a single move may last
+    runUpTicks: [1, 20],       // Ticks of running before pressing jump (at least one, so a held jump is released)
+    steerDelays: [0, 30, 60],  // Ticks of drifting before steering, once in the air
+    moveAmounts: [0.25, 0.5, 0.75, 1],  // Stick deflections tried, walking; running is tried too
+    walkTicks: 60,             // Walking without jumping stops after this long
+    waitTicks: 60,
+    targetRange: 45,           // Platforms further away aren't jumped at
+    // Yaw offsets around each target. Wind and moving platforms can carry a
+    // straight jump off course, so a stage the first pass can't finish is
+    // searched again aiming to the sides (slower).
+    aimPasses: [[0], [-0.4, -0.2, 0, 0.2, 0.4]]
+};
+
+const DYNAMIC_PLATFORM_TYPES = ['moving', 'timed', 'crumbling'];
+
+// ========================================
+// SEARCH
+// ========================================
+
+// Returns { solved, time, states, stoodOn: Set of platform indices, unneeded: [indices] }
+function checkStage(stage) {
+    let report = null;
+    for (const aimOffsets of SEARCH.aimPasses) {
+        report = searchStage(stage, aimOffsets);
+        if (report.solved) break;
+    }
+    return report;
+}
+
+function searchStage(stage, aimOffsets) {
+    const world = createWorld(stage, [new Body()]);
+    const body = world.bodies[0];
+    const dynamic = (stage.hazards || []).length > 0 ||
+        stage.platforms.some(p => DYNAMIC_PLATFORM_TYPES.includes(p.type));
+    const lowestTop = Math.min(...world.platforms.map(p => p.mesh.position.y + p.height / 2));
+
+    const states = [];
+    const byKey = new Map();
+    const perPlatform = new Map();
+    const queue = [];
+    let best = null; // Earliest time the checkpoint was touched
+
+    const addState = (parent) => {
+        const platform = world.platforms.indexOf(body.currentPlatform);
+        const bucket = dynamic ? Math.floor(world.time / SEARCH.timeBucket) : 0;
+        const key = `${platform}:${bucket}`;
+        const existing = byKey.get(key);
+        if (existing) {
+            if (parent) parent.next.add(existing);
+            return;
+        }
+
+        const count = perPlatform.get(platform) || 0;
+        if (count >= (dynamic ? SEARCH.statesPerPlatform : 1)) return;
+        perPlatform.set(platform, count + 1);
+
+        const state = { platform, time: world.time, snapshot: saveWorld(world), next: new Set(), goal: false };
+        states.push(state);
+        byKey.set(key, state);
+        if (parent) parent.next.add(state);
+        insertByTime(queue, state);
+    };
+
+    // Fall from the spawn point onto the first platform
+    const start = runHop(world, body, () => ({}), SEARCH.hopTicks, lowestTop);
+    if (start.result !== 'landed') {
+        return { solved: start.result === 'goal', time: start.result === 'goal' ? world.time : null, states: 0, stoodOn: new Set(), unneeded: [] };
+    }
+    addState(null);
+    const startState = states[0];
+
+    let expanded = 0;
+    while (queue.length > 0 && expanded < SEARCH.maxStates) {
+        const state = queue.shift();
+        if (state.time > SEARCH.maxTime) break;
+        expanded++;
+
+        getMoves(world, state, aimOffsets).forEach(move => {
+            restoreWorld(world, state.snapshot);
+            const hop = runHop(world, body, move.input, move.ticks, lowestTop);
+
+            if (hop.result === 'goal') {
+                state.goal = true;
+                best = best === null ? world.time : Math.min(best, world.time);
+            } else if (hop.result === 'landed') {
+                addState(state);
+            }
+        });
+    }
+
+    const stoodOn = new Set(states.map(s => s.platform));
+    const unneeded = best === null ? [] : [...stoodOn]
+        .filter(index => index !== startState.platform && canFinishWithout(startState, index))
+        .sort((a, b) => a - b);
+
+    return { solved: best !== null, time: best, states: states.length, stoodOn, unneeded };
+}
+
+// Steps until the body lands, steps onto another platform, dies, finishes or
+// runs out of ticks (still standing counts as landing: waiting, walking).
+// input(tick) returns controls plus the yaw to face.
+function runHop(world, body, input, maxTicks, lowestTop) {
+    const startPlatform = body.currentPlatform;
+    const wasOnGround = body.isOnGround;
+
+    for (let tick = 0; tick < maxTicks; tick++) {
+        const { yaw, ...controls } = input(tick, body);
+        Object.assign(body.controls, { moveX: 0, moveY: 0, jump: false, isRunning: false, dash: false }, controls);
+        if (yaw !== undefined) body.yaw = yaw;
+
+        stepWorld(world, PHYSICS_STEP);
+
+        const types = body.events.map(e => e.type);
+        if (types.includes('checkpoint')) return { result: 'goal' };
+        if (types.includes('death')) return { result: 'dead' };
+        if (types.includes('land')) return { result: 'landed' };
+        if (wasOnGround && body.isOnGround && body.currentPlatform !== startPlatform) return { result: 'landed' };
+
+        // Too far below every platform to come back
+        if (body.position.y < lowestTop - 5 && body.velocity.y <= 0) return { result: 'dead' };
+    }
+
+    return { result: body.isOnGround ? 'landed' : 'timeout' };
+}
+
+// Jumps toward every platform in range and the checkpoint, walking, waiting
+function getMoves(world, state, aimOffsets) {
+    restoreWorld(world, state.snapshot);
+    const body = world.bodies[0];
+    const position = body.position.clone();
+    const abilities = world.abilities;
+
+    // Highest the body can get from here, to skip targets far above
+    const launch = MOVEMENT_PROFILE.jumpForce * Math.max(
+        getPlatformPhysics(body.currentPlatform).jumpMultiplier,
+        getPlatformPhysics(body.currentPlatform).launchMultiplier
+    );
+    const rise = Math.max(launch, body.velocity.y, abilities.doubleJump ? MOVEMENT_PROFILE.jumpForce * 1.5 : 0);
+    const reach = rise * rise / (2 * MOVEMENT_PROFILE.gravity) + 1;
+
+    const targets = world.platforms
+        .filter(p => p !== body.currentPlatform && p.solid)
+        .map(p => p.mesh.position.clone().setY(p.mesh.position.y + p.height / 2 + 1.6));
+    if (world.checkpoint) {
+        targets.push(world.checkpoint.clone());
+    }
+
+    const speeds = SEARCH.moveAmounts.map(amount => ({ moveY: amount, isRunning: false }))
+        .concat([{ moveY: 1, isRunning: true }]);
+
+    // Launched or knocked into the air: drift, then steer toward a target
+    if (!body.isOnGround) {
+        const moves = [{ ticks: SEARCH.hopTicks, input: () => ({}) }];
+        getAims(position, targets, reach, body.yaw, aimOffsets).forEach(yaw => {
+            speeds.forEach(speed => {
+                SEARCH.steerDelays.forEach(delay => {
+                    moves.push({ ticks: SEARCH.hopTicks, input: tick => tick < delay ? {} : { yaw, ...speed } });
+                });
+            });
+        });
+        return moves;
+    }
+
+    const moves = [{ ticks: SEARCH.waitTicks, input: () => ({}) }];
+    getAims(position, targets, reach, body.yaw, aimOffsets).forEach(yaw => {
+        moves.push({ ticks: SEARCH.walkTicks, input: () => ({ yaw, moveY: 1, isRunning: true }) });
+        speeds.forEach(speed => {
+            SEARCH.runUpTicks.forEach(runUp => {
+                moves.push({ ticks: SEARCH.hopTicks, input: tick => ({ yaw, ...speed, jump: tick >= runUp }) });
+
+                // Second press in the air for double and wall jumps, a dash near the top
+                if (abilities.doubleJump || abilities.wallJump) {
+                    moves.push({ ticks: SEARCH.hopTicks, input: tick => ({ yaw, ...speed, jump: tick >= runUp && (tick - runUp < 30 || tick - runUp >= 45) }) });
+                }
+                if (abilities.airDash) {
+                    moves.push({ ticks: SEARCH.hopTicks, input: tick => ({ yaw, ...speed, jump: tick >= runUp, dash: tick - runUp === 40 }) });
+                }
+            });
+        });
+    });
+    return moves;
+}
+
+// Yaws facing each target in range, each turned by every offset
+function getAims(position, targets, reach, currentYaw, aimOffsets) {
+    const aims = [];
+    targets.forEach(target => {
+        const dx = target.x - position.x;
+        const dz = target.z - position.z;
+        const distance = Math.hypot(dx, dz);
+        if (distance > SEARCH.targetRange || target.y - position.y > reach) return;
+
+        const yaw = distance > 0.1 ? Math.atan2(-dx, -dz) : currentYaw;
+        aimOffsets.forEach(offset => aims.push(yaw + offset));
+    });
+    return aims;
+}
+
+function insertByTime(queue, state) {
+    let i = queue.length;
+    while (i > 0 && queue[i - 1].time > state.time) i--;
+    queue.splice(i, 0, state);
+}
+
+// Whether the explored states still lead to the checkpoint without landing on a platform
+function canFinishWithout(start, platform) {
+    const seen = new Set([start]);
+    const stack = [start];
+    while (stack.length > 0) {
+        const state = stack.pop();
+        if (state.goal) return true;
+        state.next.forEach(next => {
+            if (seen.has(next) || next.platform === platform) return;
+            seen.add(next);
+            stack.push(next);
+        });
+    }
+    return false;
+}
+
+// ========================================
+// COMMAND LINE
+// ========================================
+
+function describePlatform(stage, index) {
+    const p = stage.platforms[index];
+    return `#${index} ${p.type} [${p.position.join(', ')}]`;
+}
+
+function main(args) {
+    let pack = BUILTIN_LEVELS;
+    if (args[0] && args[0].endsWith('.json')) {
+        const file = args.shift();
+        try {
+            pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.log(`Could not read ${file}: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    // A level pack, or a single stage on its own
+    const all = pack && Array.isArray(pack.stages) ? pack.stages.concat(pack.bonusStages || []) : [pack];
+    const stages = args.length > 0 ? all.filter(s => s && args.includes(String(s.id))) : all;
+    let failed = 0;
+
+    const missing = args.filter(id => !stages.some(s => String(s.id) === id));
+    if (missing.length > 0) {
+        failed++;
+        console.log(`No stage with id ${missing.join(', ')}`);
+    }
+
+    stages.forEach(stage => {
+        // The search builds the stage with createWorld, which needs every field well-formed
+        const errors = validateStageFields(stage);
+        if (errors.length > 0) {
+            failed++;
+            console.log(`Stage ${stage && stage.id !== undefined ? stage.id : '?'}: invalid stage`);
+            errors.forEach(error => console.log(`  ${error}`));
+            return;
+        }
+
+        const started = Date.now();
+        const report = checkStage(stage);
+        const seconds = ((Date.now() - started) / 1000).toFixed(1);
+
+        if (!report.solved) {
+            failed++;
+            console.log(`Stage ${stage.id} ${stage.name}: checkpoint NOT reached (${report.states} states, ${seconds}s)`);
+        } else {
+            const par = stage.parTime ? `, par ${stage.parTime}s` : '';
+            console.log(`Stage ${stage.id} ${stage.name}: reached in ${report.time.toFixed(2)}s${par} (${report.states} states, ${seconds}s)`);
+        }
+
+        const unreached = stage.platforms.map((p, i) => i).filter(i => !report.stoodOn.has(i));
+        if (unreached.length > 0) {
+            console.log(`  never stood on: ${unreached.map(i => describePlatform(stage, i)).join(', ')}`);
+        }
+        if (report.unneeded.length > 0) {
+            console.log(`  not needed: ${report.unneeded.map(i => describePlatform(stage, i)).join(', ')}`);
+        }
+    });
+
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { checkStage };
@@ -3,11 +3,13 @@
 // ========================================
 
 // === CONSTANTS ===
-const GRAVITY = 20.0;
-const JUMP_FORCE = 9.5;
-const TERMINAL_VELOCITY = 50.0;
-const playerSpeed = 1.5;
-const runSpeed = 3.0;
+// Third-person camera
+const ORBIT_DISTANCE = 5;
+const ORBIT_MIN_DISTANCE = 0.6;
+const ORBIT_PITCH_LIMIT = 1.3;
+
+// Physics steps at PHYSICS_STEP (simulation.js) whatever the frame rate
+const MAX_FRAME_TIME = 0.25; // Longer hitches are dropped instead of simulated
 
 // === GAME STATE ===
 const GameState = {
@@ -15,48 +17,100 @@ const GameState = {
     PLAYING: 'playing',
     PAUSED: 'paused',
     GAME_OVER: 'game_over',
-    VICTORY: 'victory'
+    VICTORY: 'victory',
+    EDITOR: 'editor'
 };
 
 let currentState = GameState.MENU;
 let currentStage = 1;
-const totalStages = 20;
-let gameStartTime = 0;
-let currentTime = 0;
+let totalStages = 0;
 
 // === THREE.JS CORE ===
 let scene, camera, renderer, clock;
+let sunLight = null;
+let rendererAntialias = null; // What the current renderer was created with
 
-// === PHYSICS & MOVEMENT ===
-let velocity = new THREE.Vector3();
-let direction = new THREE.Vector3();
-let isOnGround = false;
-let currentPlatform = null;
-let canJump = true;
-let checkpointReached = false;
+// === WORLD ===
+let world = null;           // The stage being played, see createWorld in simulation.js
+let physicsAccumulator = 0;
 
 // === CONTROLS STATE ===
-let controls = {
-    moveForward: false,
-    moveBackward: false,
-    moveLeft: false,
-    moveRight: false,
-    jump: false,
-    isRunning: false
-};
+// What the player is asking for this tick, filled from the bound devices by pollControls
+let controls = createControls();
+
+// === INPUT ===
+let bindings = {};            // action -> [key, key, gamepad] binding codes
+let heldInputs = new Set();   // Keyboard codes and mouse buttons currently down
+let gamepads = [];            // Latest poll of every connected pad, see pollGamepads
+let rebinding = null;         // { action, slot, baseline } while waiting for a new binding
+
+// === PLAYER ===
+let player = null;
 
 // === CAMERA CONTROL ===
+let cameraMode = 'first'; // 'first' | 'third'
 let euler = new THREE.Euler(0, 0, 0, 'YXZ');
 let PI_2 = Math.PI / 2;
 let isPointerLocked = false;
 
-// === PLATFORMS ===
-let platforms = [];
-let checkpoint = null;
+// === CHECKPOINT ===
+let checkpoint = null; // Mesh of the stage's checkpoint
+
+// === ENDLESS TOWER ===
+let endless = null; // Current endless run, see startEndless
+
+// === DAILY CHALLENGE ===
+let dailyStage = null; // Generated stage config while a daily challenge is played
+
+// === RACE ===
+let race = null; // Server connection and room while in race mode, see joinRace
+
+// === SPLIT SCREEN ===
+let splitScreen = null; // Player two and their devices in split-screen mode, see startSplitScreen
+
+// === AUDIO ===
+let audio = null; // Created on the first user gesture, see initAudio
+
+// === LEVELS ===
+const LEVEL_FORMAT_VERSION = 1;
+let levelPack = null;
+
+// === SAVE DATA ===
+const SAVE_KEY = 'jumpmap.save';
+const SAVE_VERSION = 6;
+let saveData = null;
+
+// === SPEEDRUN TIMER ===
+let runTimer = null;
+
+// === REPLAYS ===
+let replayRecorder = null;  // Inputs of the current attempt
+let replayPlayback = null;  // Decoded replay driving the simulation (spectator view)
+let ghost = null;
+
+// === EDITOR ===
+let editor = {
+    stage: null,          // Stage being edited (same shape as getStageConfig)
+    selection: null,      // { kind: 'platform' | 'moveEnd' | 'respawn' | 'collectible' | 'checkpoint' | 'spawn', index }
+    placeType: null,      // Platform type placed by clicking empty space
+    drag: null,
+    isLooking: false,
+    isPlaytesting: false,
+    flyUp: false,
+    flyDown: false,
+    spawnMarker: null,
+    endMarker: null,
+    savedCamera: null
+};
 
 // === MOBILE ===
 let isMobile = false;
 let joystickDirection = new THREE.Vector2(0, 0);
+let touchInput = { moveX: 0, moveY: 0, jump: false, run: false, dash: false };
+let joystickTouchId = null;
+let cameraTouchId = null;
+let lastTouchX = 0;
+let lastTouchY = 0;
 
 // ========================================
 // INITIALIZATION
@@ -82,25 +136,33 @@ function init() {
     );
     camera.position.set(0, 2, 0);
 
-    // Create renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    document.body.appendChild(renderer.domElement);
+    // Create player
+    player = new Player(controls);
 
     // Clock for delta time
     clock = new THREE.Clock();
 
-    // Create lighting
+    // Load progress (the level pack is already in place, see START)
+    saveData = loadSave();
+    cameraMode = saveData.settings.cameraMode === 'third' ? 'third' : 'first';
+    bindings = loadBindings();
+
+    // Create renderer and lighting with the saved graphics settings
+    createRenderer();
     createLighting();
+    applyGraphicsSettings();
 
     // Setup controls
     setupEventListeners();
     setupCameraControls();
+    setupEditor();
+    setupControlsScreen();
+    setupSettingsScreen();
+    setupAudio();
     if (isMobile) {
         setupMobileControls();
     }
+    updateMenu();
 
     console.log('Initialization complete!');
 }
@@ -114,161 +176,70 @@ function createLighting() {
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
     scene.add(ambientLight);
 
-    // Directional light (sun)
-    const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    dirLight.position.set(50, 100, 50);
-    dirLight.castShadow = true;
-    dirLight.shadow.mapSize.width = 2048;
-    dirLight.shadow.mapSize.height = 2048;
-    dirLight.shadow.camera.near = 0.5;
-    dirLight.shadow.camera.far = 500;
-    dirLight.shadow.camera.left = -100;
-    dirLight.shadow.camera.right = 100;
-    dirLight.shadow.camera.top = 100;
-    dirLight.shadow.camera.bottom = -100;
-    scene.add(dirLight);
+    // Directional light (sun); shadows are set up by applyGraphicsSettings
+    sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    sunLight.position.set(50, 100, 50);
+    sunLight.shadow.camera.near = 0.5;
+    sunLight.shadow.camera.far = 500;
+    sunLight.shadow.camera.left = -100;
+    sunLight.shadow.camera.right = 100;
+    sunLight.shadow.camera.top = 100;
+    sunLight.shadow.camera.bottom = -100;
+    scene.add(sunLight);
 
     console.log('Lighting created');
 }
 
 // ========================================
-// PLATFORM CLASS
+// PLAYER
 // ========================================
 
-class Platform {
-    constructor(x, y, z, width, height, depth, type = 'normal', moveData = null) {
-        this.type = type;
-        this.width = width;
-        this.height = height;
-        this.depth = depth;
-        this.moveData = moveData; // For moving platforms
-
-        // Create mesh based on type
-        const geometry = new THREE.BoxGeometry(width, height, depth);
-        let material;
-
-        switch (type) {
-            case 'normal':
-                material = new THREE.MeshStandardMaterial({
-                    color: 0x808080,
-                    roughness: 0.7,
-                    metalness: 0.3
-                });
-                break;
-            case 'slime':
-                material = new THREE.MeshStandardMaterial({
-                    color: 0x00ff00,
-                    emissive: 0x00ff00,
-                    emissiveIntensity: 0.3,
-                    roughness: 0.4
-                });
-                break;
-            case 'jump':
-                material = new THREE.MeshStandardMaterial({
-                    color: 0xffaa00,
-                    emissive: 0xffaa00,
-                    emissiveIntensity: 0.4,
-                    roughness: 0.5
-                });
-                break;
-            case 'ice':
-                material = new THREE.MeshStandardMaterial({
-                    color: 0xaaddff,
-                    roughness: 0.1,
-                    metalness: 0.6,
-                    transparent: true,
-                    opacity: 0.8
-                });
-                break;
-            case 'lava':
-                material = new THREE.MeshStandardMaterial({
-                    color: 0xff4400,
-                    emissive: 0xff4400,
-                    emissiveIntensity: 0.6,
-                    roughness: 0.8
-                });
-                break;
-            case 'moving':
-                material = new THREE.MeshStandardMaterial({
-                    color: 0xaa00ff,
-                    emissive: 0xaa00ff,
-                    emissiveIntensity: 0.3,
-                    roughness: 0.6
-                });
-                break;
-            default:
-                material = new THREE.MeshStandardMaterial({ color: 0x808080 });
-        }
-
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.position.set(x, y, z);
-        this.mesh.castShadow = true;
-        this.mesh.receiveShadow = true;
-
-        // Store platform data in userData
-        this.mesh.userData.platformType = type;
-        this.mesh.userData.platform = this;
-
-        // For lava platforms - timer
-        this.lavaTimer = 0;
-
-        // For moving platforms
-        if (moveData) {
-            this.startPos = new THREE.Vector3(x, y, z);
-            this.endPos = new THREE.Vector3(moveData.endX, moveData.endY, moveData.endZ);
-            this.moveSpeed = moveData.speed || 2.0;
-            this.moveProgress = 0;
-            this.moveDirection = 1;
-        }
+class Player extends Body {
+    constructor(controls, color = 0x4a90e2) {
+        super(controls);
+        this.input = createInputSource(true);
 
+        this.mesh = createPlayerModel(color);
+        this.mesh.visible = false;
         scene.add(this.mesh);
     }
 
-    update(delta) {
-        // Update moving platforms
-        if (this.type === 'moving' && this.moveData) {
-            this.moveProgress += this.moveDirection * this.moveSpeed * delta;
-
-            if (this.moveProgress >= 1.0) {
-                this.moveProgress = 1.0;
-                this.moveDirection = -1;
-            } else if (this.moveProgress <= 0.0) {
-                this.moveProgress = 0.0;
-                this.moveDirection = 1;
-            }
+    updateMesh(eyePosition) {
+        this.mesh.position.set(eyePosition.x, eyePosition.y - PLAYER_EYE_HEIGHT, eyePosition.z);
+        this.mesh.rotation.y = this.yaw;
+    }
+}
 
-            this.mesh.position.lerpVectors(this.startPos, this.endPos, this.moveProgress);
-        }
+// Visible model, origin at the feet; also used for other racers' avatars
+function createPlayerModel(color) {
+    const bodyMaterial = new THREE.MeshStandardMaterial({ color, roughness: 0.5 });
+    const body = new THREE.Mesh(
+        new THREE.CylinderGeometry(PLAYER_RADIUS, PLAYER_RADIUS, PLAYER_EYE_HEIGHT - PLAYER_RADIUS, 16),
+        bodyMaterial
+    );
+    body.position.y = (PLAYER_EYE_HEIGHT - PLAYER_RADIUS) / 2;
 
-        // Update lava platform pulsing
-        if (this.type === 'lava') {
-            const pulse = Math.sin(Date.now() * 0.005) * 0.3 + 0.6;
-            this.mesh.material.emissiveIntensity = pulse;
-        }
-    }
+    const head = new THREE.Mesh(new THREE.SphereGeometry(PLAYER_RADIUS, 16, 12), bodyMaterial);
+    head.position.y = PLAYER_EYE_HEIGHT + PLAYER_HEAD_HEIGHT - PLAYER_RADIUS;
 
-    handleEffect(player, delta) {
-        switch (this.type) {
-            case 'lava':
-                this.lavaTimer += delta;
-                if (this.lavaTimer > 1.5) {
-                    // Player dies from lava
-                    gameOver('용암에 빠졌습니다!');
-                }
-                break;
-        }
-    }
+    // Visor shows which way the player faces
+    const visor = new THREE.Mesh(
+        new THREE.BoxGeometry(0.5, 0.15, 0.2),
+        new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.2, metalness: 0.5 })
+    );
+    visor.position.set(0, PLAYER_EYE_HEIGHT, -PLAYER_RADIUS + 0.05);
 
-    resetLavaTimer() {
-        this.lavaTimer = 0;
-    }
+    const model = new THREE.Group();
+    model.add(body, head, visor);
+    model.traverse(child => { child.castShadow = true; });
+    return model;
 }
 
 // ========================================
 // CHECKPOINT
 // ========================================
 
-function createCheckpoint(x, y, z) {
+function createCheckpoint(position) {
     const geometry = new THREE.CylinderGeometry(1, 1, 4, 8);
     const material = new THREE.MeshStandardMaterial({
         color: 0xffd700,
@@ -277,7 +248,7 @@ function createCheckpoint(x, y, z) {
     });
 
     checkpoint = new THREE.Mesh(geometry, material);
-    checkpoint.position.set(x, y, z);
+    checkpoint.position.copy(position);
     checkpoint.castShadow = true;
     checkpoint.userData.isCheckpoint = true;
     scene.add(checkpoint);
@@ -285,6 +256,48 @@ function createCheckpoint(x, y, z) {
     // Rotation animation handled in animate loop
 }
 
+function createRespawnFlag(position) {
+    // The point is where the player's eyes appear, so the pole reaches down to the feet
+    const pole = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.05, 0.05, 2.4, 8),
+        new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.6, roughness: 0.4 })
+    );
+    pole.position.y = 1.2 - PLAYER_EYE_HEIGHT;
+
+    const cloth = new THREE.Mesh(
+        new THREE.BoxGeometry(0.8, 0.5, 0.04),
+        new THREE.MeshStandardMaterial({ color: 0x888888, emissive: 0x000000, roughness: 0.8 })
+    );
+    cloth.position.set(0.4, 2.15 - PLAYER_EYE_HEIGHT, 0);
+
+    const mesh = new THREE.Group();
+    mesh.add(pole, cloth);
+    mesh.position.copy(position);
+    mesh.traverse(child => { child.castShadow = true; });
+    scene.add(mesh);
+
+    return { mesh, cloth };
+}
+
+function createCollectible(position) {
+    const mesh = new THREE.Mesh(
+        new THREE.OctahedronGeometry(0.35),
+        new THREE.MeshStandardMaterial({ color: 0x33ddff, emissive: 0x33ddff, emissiveIntensity: 0.6, metalness: 0.3, roughness: 0.2 })
+    );
+    mesh.position.copy(position);
+    mesh.castShadow = true;
+    scene.add(mesh);
+
+    return mesh;
+}
+
+function setRespawnFlagActive(flag, active) {
+    const color = active ? 0x51cf66 : 0x888888;
+    flag.cloth.material.color.setHex(color);
+    flag.cloth.material.emissive.setHex(active ? color : 0x000000);
+    flag.cloth.material.emissiveIntensity = active ? 0.5 : 0;
+}
+
 // ========================================
 // STAGE SYSTEM
 // ========================================
@@ -292,524 +305,3695 @@ function createCheckpoint(x, y, z) {
 function loadStage(stageNumber) {
     console.log(`Loading stage ${stageNumber}...`);
 
+    buildStage(getStageConfig(stageNumber));
+    if (!replayPlayback && !splitScreen) {
+        startRecording(stageNumber);
+
+        // Other racers are on the stage already
+        if (!race) {
+            spawnGhost(stageNumber);
+        }
+    }
+
+    const enabled = Object.keys(ABILITIES).filter(key => world.abilities[key]);
+    if (enabled.length > 0) {
+        showMessage(`특수 능력: ${enabled.map(key => ABILITIES[key]).join(', ')}`);
+    }
+
+    console.log(`Stage ${stageNumber} loaded!`);
+}
+
+function buildStage(stageConfig) {
     // Clear previous stage
     clearStage();
 
-    // Reset checkpoint flag
-    checkpointReached = false;
-
-    // Define stages
-    const stageConfig = getStageConfig(stageNumber);
-
-    // Create platforms
-    stageConfig.platforms.forEach(p => {
-        const platform = new Platform(
-            p.position[0], p.position[1], p.position[2],
-            p.size ? p.size[0] : 3,
-            p.size ? p.size[1] : 0.5,
-            p.size ? p.size[2] : 3,
-            p.type,
-            p.moveData
-        );
-        platforms.push(platform);
-    });
+    // The simulation places the player at the spawn point
+    world = createWorld(stageConfig, getLocalPlayers());
+    world.platforms.forEach(p => scene.add(p.mesh));
+    world.hazards.forEach(h => scene.add(h.mesh));
 
-    // Create checkpoint
-    const cp = stageConfig.checkpoint;
-    createCheckpoint(cp[0], cp[1], cp[2]);
-
-    // Spawn player
-    const spawn = stageConfig.spawnPoint;
-    camera.position.set(spawn[0], spawn[1], spawn[2]);
-    velocity.set(0, 0, 0);
-    isOnGround = false;
+    // Checkpoint (endless runs have none), mid-stage respawn flags and collectibles
+    if (world.checkpoint) {
+        createCheckpoint(world.checkpoint);
+    }
+    world.respawnFlags.forEach(flag => Object.assign(flag, createRespawnFlag(flag.position)));
+    world.collectibles.forEach(gem => {
+        gem.mesh = createCollectible(gem.position);
+    });
 
-    console.log(`Stage ${stageNumber} loaded!`);
+    getLocalPlayers().forEach(p => getFadeOverlay(p).classList.remove('active'));
+    physicsAccumulator = 0;
 }
 
 function clearStage() {
-    // Remove all platforms
-    platforms.forEach(p => {
-        scene.remove(p.mesh);
-    });
-    platforms = [];
+    if (world) {
+        world.platforms.forEach(p => scene.remove(p.mesh));
+        world.hazards.forEach(h => scene.remove(h.mesh));
+        world.respawnFlags.forEach(flag => scene.remove(flag.mesh));
+        world.collectibles.forEach(gem => scene.remove(gem.mesh));
+        world = null;
+    }
 
     // Remove checkpoint
     if (checkpoint) {
         scene.remove(checkpoint);
         checkpoint = null;
     }
+
+    removeGhost();
+    replayRecorder = null;
+}
+
+function getAllStages() {
+    return levelPack.stages.concat(levelPack.bonusStages || []);
+}
+
+// Level pack stages plus today's daily challenge while it's loaded
+function findStage(stageNumber) {
+    if (dailyStage && dailyStage.id === stageNumber) return dailyStage;
+    return getAllStages().find(s => s.id === stageNumber) || null;
 }
 
 function getStageConfig(stageNumber) {
-    const stages = {
-        1: { // Tutorial
-            name: "Tutorial",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'normal', position: [0, 0, -6], size: [3, 0.5, 3] },
-                { type: 'slime', position: [0, 1, -11], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 3, -16], size: [3, 0.5, 3] },
-                { type: 'lava', position: [0, 3, -21], size: [3, 0.5, 3] },
-                { type: 'ice', position: [0, 4, -26], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 5, -31],
-            spawnPoint: [0, 2, 0]
-        },
-        2: { // 계단 오르기
-            name: "계단 오르기",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'normal', position: [0, 1, -5], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 2, -10], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 3, -15], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 4, -20], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 5, -25], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 6, -30],
-            spawnPoint: [0, 2, 0]
-        },
-        3: { // 슬라임 점프
-            name: "슬라임 점프",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'slime', position: [0, 0, -6], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 3, -11], size: [3, 0.5, 3] },
-                { type: 'slime', position: [0, 3, -16], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 6, -21], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 7, -26],
-            spawnPoint: [0, 2, 0]
-        },
-        4: { // 좌우 지그재그
-            name: "지그재그",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'normal', position: [4, 1, -5], size: [3, 0.5, 3] },
-                { type: 'normal', position: [-4, 2, -10], size: [3, 0.5, 3] },
-                { type: 'normal', position: [4, 3, -15], size: [3, 0.5, 3] },
-                { type: 'normal', position: [-4, 4, -20], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 5, -25], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 6, -30],
-            spawnPoint: [0, 2, 0]
-        },
-        5: { // 점프패드 연습
-            name: "점프패드",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'jump', position: [0, 0, -6], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 8, -11], size: [3, 0.5, 3] },
-                { type: 'jump', position: [0, 8, -16], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 16, -21], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 17, -26],
-            spawnPoint: [0, 2, 0]
-        },
-        6: { // 얼음길
-            name: "미끄러운 길",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'ice', position: [0, 0, -6], size: [5, 0.5, 3] },
-                { type: 'ice', position: [0, 1, -11], size: [5, 0.5, 3] },
-                { type: 'normal', position: [0, 2, -16], size: [3, 0.5, 3] },
-                { type: 'ice', position: [3, 3, -21], size: [4, 0.5, 3] },
-                { type: 'normal', position: [0, 4, -26], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 5, -31],
-            spawnPoint: [0, 2, 0]
-        },
-        7: { // 용암 타이밍
-            name: "용암 타이밍",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'lava', position: [0, 1, -5], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 2, -10], size: [3, 0.5, 3] },
-                { type: 'lava', position: [0, 3, -15], size: [3, 0.5, 3] },
-                { type: 'lava', position: [0, 4, -20], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 5, -25], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 6, -30],
-            spawnPoint: [0, 2, 0]
-        },
-        8: { // 혼합 1
-            name: "혼합 챌린지 1",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'slime', position: [3, 0, -6], size: [3, 0.5, 3] },
-                { type: 'ice', position: [-3, 3, -11], size: [4, 0.5, 3] },
-                { type: 'lava', position: [0, 4, -16], size: [3, 0.5, 3] },
-                { type: 'jump', position: [0, 5, -21], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 13, -26], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 14, -31],
-            spawnPoint: [0, 2, 0]
-        },
-        9: { // 나선형 오르기
-            name: "나선형 계단",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'normal', position: [5, 2, -3], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 4, -6], size: [3, 0.5, 3] },
-                { type: 'normal', position: [-5, 6, -9], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 8, -12], size: [3, 0.5, 3] },
-                { type: 'normal', position: [5, 10, -15], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 12, -18], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 13, -23],
-            spawnPoint: [0, 2, 0]
-        },
-        10: { // 움직이는 발판 도입
-            name: "움직이는 발판",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'moving', position: [0, 2, -7], size: [3, 0.5, 3], moveData: { endX: 5, endY: 2, endZ: -7, speed: 0.8 } },
-                { type: 'normal', position: [8, 3, -12], size: [3, 0.5, 3] },
-                { type: 'moving', position: [-5, 5, -17], size: [3, 0.5, 3], moveData: { endX: 5, endY: 5, endZ: -17, speed: 1.0 } },
-                { type: 'normal', position: [0, 7, -22], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 8, -27],
-            spawnPoint: [0, 2, 0]
-        },
-        11: { // 정밀 점프
-            name: "정밀 점프",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'normal', position: [0, 2, -7], size: [2.5, 0.5, 2.5] },
-                { type: 'normal', position: [4, 4, -12], size: [2.5, 0.5, 2.5] },
-                { type: 'normal', position: [-4, 6, -17], size: [2.5, 0.5, 2.5] },
-                { type: 'slime', position: [0, 8, -22], size: [2.5, 0.5, 2.5] },
-                { type: 'normal', position: [0, 12, -27], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 13, -32],
-            spawnPoint: [0, 2, 0]
-        },
-        12: { // 용암과 얼음
-            name: "불과 얼음",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'lava', position: [0, 1, -5], size: [3, 0.5, 3] },
-                { type: 'ice', position: [0, 2, -10], size: [5, 0.5, 3] },
-                { type: 'lava', position: [0, 3, -15], size: [3, 0.5, 3] },
-                { type: 'ice', position: [4, 4, -20], size: [4, 0.5, 3] },
-                { type: 'normal', position: [0, 5, -25], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 6, -30],
-            spawnPoint: [0, 2, 0]
-        },
-        13: { // 점프패드 연쇄
-            name: "연쇄 발사",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'jump', position: [0, 1, -6], size: [3, 0.5, 3] },
-                { type: 'jump', position: [0, 10, -11], size: [3, 0.5, 3] },
-                { type: 'normal', position: [5, 19, -16], size: [3, 0.5, 3] },
-                { type: 'slime', position: [5, 19, -21], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 23, -26], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 24, -31],
-            spawnPoint: [0, 2, 0]
-        },
-        14: { // 복합 움직임
-            name: "복합 이동",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'moving', position: [0, 2, -7], size: [3, 0.5, 3], moveData: { endX: 6, endY: 4, endZ: -7, speed: 0.9 } },
-                { type: 'ice', position: [8, 5, -12], size: [4, 0.5, 3] },
-                { type: 'moving', position: [-6, 6, -17], size: [3, 0.5, 3], moveData: { endX: 6, endY: 6, endZ: -17, speed: 1.1 } },
-                { type: 'lava', position: [0, 7, -22], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 8, -27], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 9, -32],
-            spawnPoint: [0, 2, 0]
-        },
-        15: { // 수직 타워
-            name: "수직 타워",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'slime', position: [0, 2, -2], size: [3, 0.5, 3] },
-                { type: 'normal', position: [4, 6, -4], size: [2.5, 0.5, 2.5] },
-                { type: 'jump', position: [-4, 8, -6], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 17, -8], size: [2.5, 0.5, 2.5] },
-                { type: 'slime', position: [0, 18, -12], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 22, -16], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 23, -21],
-            spawnPoint: [0, 2, 0]
-        },
-        16: { // 극한의 타이밍
-            name: "극한 타이밍",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'lava', position: [0, 1, -5], size: [2.5, 0.5, 2.5] },
-                { type: 'lava', position: [4, 2, -10], size: [2.5, 0.5, 2.5] },
-                { type: 'lava', position: [-4, 3, -15], size: [2.5, 0.5, 2.5] },
-                { type: 'jump', position: [0, 4, -20], size: [3, 0.5, 3] },
-                { type: 'ice', position: [0, 13, -25], size: [5, 0.5, 3] },
-                { type: 'normal', position: [0, 14, -30], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 15, -35],
-            spawnPoint: [0, 2, 0]
-        },
-        17: { // 미로 경로
-            name: "미로 경로",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'normal', position: [5, 2, -4], size: [2.5, 0.5, 2.5] },
-                { type: 'ice', position: [8, 3, -8], size: [4, 0.5, 3] },
-                { type: 'slime', position: [4, 4, -13], size: [3, 0.5, 3] },
-                { type: 'moving', position: [-4, 8, -17], size: [3, 0.5, 3], moveData: { endX: 4, endY: 8, endZ: -17, speed: 1.2 } },
-                { type: 'lava', position: [0, 9, -22], size: [2.5, 0.5, 2.5] },
-                { type: 'jump', position: [0, 10, -27], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 19, -32], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 20, -37],
-            spawnPoint: [0, 2, 0]
-        },
-        18: { // 속도전
-            name: "속도전",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'lava', position: [0, 1, -4], size: [3, 0.5, 3] },
-                { type: 'lava', position: [0, 2, -8], size: [3, 0.5, 3] },
-                { type: 'lava', position: [0, 3, -12], size: [3, 0.5, 3] },
-                { type: 'slime', position: [0, 4, -16], size: [3, 0.5, 3] },
-                { type: 'lava', position: [0, 7, -20], size: [2.5, 0.5, 2.5] },
-                { type: 'lava', position: [0, 8, -24], size: [2.5, 0.5, 2.5] },
-                { type: 'normal', position: [0, 9, -28], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 10, -33],
-            spawnPoint: [0, 2, 0]
-        },
-        19: { // 종합 시험
-            name: "종합 시험",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'ice', position: [5, 1, -5], size: [4, 0.5, 3] },
-                { type: 'slime', position: [5, 2, -10], size: [3, 0.5, 3] },
-                { type: 'moving', position: [-5, 6, -15], size: [3, 0.5, 3], moveData: { endX: 5, endY: 8, endZ: -15, speed: 1.0 } },
-                { type: 'lava', position: [0, 9, -20], size: [2.5, 0.5, 2.5] },
-                { type: 'jump', position: [0, 10, -25], size: [3, 0.5, 3] },
-                { type: 'ice', position: [0, 19, -30], size: [5, 0.5, 3] },
-                { type: 'slime', position: [5, 20, -35], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 24, -40], size: [3, 0.5, 3] }
-            ],
-            checkpoint: [0, 25, -45],
-            spawnPoint: [0, 2, 0]
-        },
-        20: { // 최종 도전
-            name: "최종 도전",
-            platforms: [
-                { type: 'normal', position: [0, 0, 0], size: [4, 0.5, 4] },
-                { type: 'jump', position: [0, 1, -5], size: [3, 0.5, 3] },
-                { type: 'ice', position: [6, 10, -10], size: [4, 0.5, 3] },
-                { type: 'slime', position: [6, 11, -15], size: [2.5, 0.5, 2.5] },
-                { type: 'moving', position: [-6, 15, -20], size: [3, 0.5, 3], moveData: { endX: 6, endY: 17, endZ: -20, speed: 1.2 } },
-                { type: 'lava', position: [0, 18, -25], size: [2.5, 0.5, 2.5] },
-                { type: 'lava', position: [4, 19, -29], size: [2.5, 0.5, 2.5] },
-                { type: 'jump', position: [-4, 20, -33], size: [3, 0.5, 3] },
-                { type: 'ice', position: [0, 29, -38], size: [5, 0.5, 3] },
-                { type: 'slime', position: [0, 30, -43], size: [3, 0.5, 3] },
-                { type: 'normal', position: [0, 35, -48], size: [4, 0.5, 4] }
-            ],
-            checkpoint: [0, 36, -53],
-            spawnPoint: [0, 2, 0]
-        }
+    const config = findStage(stageNumber);
+    if (!config) {
+        throw new Error(`Unknown stage number: ${stageNumber}`);
+    }
+
+    return {
+        id: config.id,
+        name: config.name,
+        platforms: config.platforms,
+        checkpoint: config.checkpoint,
+        spawnPoint: config.spawnPoint,
+        respawnPoints: config.respawnPoints || [],
+        hazards: config.hazards || [],
+        collectibles: config.collectibles || [],
+        parTime: config.parTime,
+        starsRequired: config.starsRequired,
+        abilities: config.abilities || {}
     };
+}
 
-    const config = stages[stageNumber];
-    if (config) {
-        return {
-            id: stageNumber,
-            name: config.name,
-            platforms: config.platforms,
-            checkpoint: config.checkpoint,
-            spawnPoint: config.spawnPoint
-        };
+// ========================================
+// ENDLESS TOWER
+// ========================================
+//
+// Platforms are generated a chunk at a time from a seeded RNG while the
+// player climbs, so a seed always builds the same tower. Each gap is sized
+// inside the same jump envelope the level validator uses, with less slack
+// the higher the tower gets. The score is the highest platform stood on.
+
+const ENDLESS_CHUNK = 10;              // Platforms generated at a time
+const ENDLESS_LOOKAHEAD = 25;          // Keep the tower this far above the player
+const ENDLESS_CLEANUP = 40;            // Drop platforms this far below the player
+const ENDLESS_HARDEST_HEIGHT = 300;    // Difficulty stops rising here
+const ENDLESS_RADIUS = 10;             // Steer back towards the axis beyond this
+
+// Chance of each type at difficulty 0 and 1. Moving platforms and bumpers
+// are left out: their reach depends on timing the generator can't check.
+const ENDLESS_TYPE_WEIGHTS = {
+    normal: [6, 1],
+    slime: [1, 1],
+    jump: [0.5, 0.7],
+    ice: [1, 2],
+    lava: [0, 1.5],
+    crumbling: [0.5, 2],
+    timed: [0, 1.5],
+    conveyor: [0.5, 1]
+};
+
+const ENDLESS_START = { type: 'normal', position: [0, 0, 0], size: [6, 0.5, 6] };
+
+// Small seeded RNG (string hash + mulberry32), returns floats in [0, 1)
+function createRandom(seed) {
+    let state = hashString(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashString(text) {
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    return hash >>> 0;
+}
+
+function createRandomSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+function startEndless(seed) {
+    document.getElementById('menu').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+
+    currentState = GameState.PLAYING;
+    currentStage = 0;
+    buildEndlessRun(seed);
+
+    renderer.domElement.requestPointerLock();
+    console.log(`Endless tower started (seed ${seed})`);
+}
+
+function buildEndlessRun(seed) {
+    runTimer = createRunTimer(0);
+    buildStage({ name: '무한 타워', spawnPoint: [0, 2, 0], platforms: [ENDLESS_START] });
+
+    endless = {
+        seed,
+        random: createRandom(seed),
+        last: ENDLESS_START,  // Config of the highest platform so far
+        count: 0,
+        bestHeight: 0,
+        lastGroundY: player.position.y
+    };
+    generateEndlessChunk();
+}
+
+function generateEndlessChunk() {
+    for (let i = 0; i < ENDLESS_CHUNK; i++) {
+        const difficulty = Math.min(1, endless.last.position[1] / ENDLESS_HARDEST_HEIGHT);
+        const config = generateTowerPlatform(endless.random, endless.last, difficulty);
+
+        const platform = createPlatform(config);
+        world.platforms.push(platform);
+        scene.add(platform.mesh);
+        endless.last = config;
+        endless.count++;
+    }
+}
+
+function generateTowerPlatform(random, from, difficulty) {
+    const type = pickPlatformType(random, difficulty);
+    const scale = 1 - 0.5 * difficulty;
+    const size = [
+        roundTo(1 + (2 + random() * 2) * scale, 0.1),
+        0.5,
+        roundTo(1 + (2 + random() * 2) * scale, 0.1)
+    ];
+
+    // Spiral around the tower axis, drifting back in when too far out
+    const [fx, fy, fz] = from.position;
+    const heading = Math.atan2(fz, fx) + Math.PI / 2 + (random() - 0.5);
+    const direction = new THREE.Vector2(Math.cos(heading), Math.sin(heading));
+    if (Math.hypot(fx, fz) > ENDLESS_RADIUS) {
+        direction.add(new THREE.Vector2(-fx, -fz).normalize()).normalize();
+    }
+
+    // Use part of the jump envelope: all of it is too hard to be fair
+    const jumpVelocity = getTakeoffVelocity(from.type);
+    const slack = 0.5 + 0.3 * difficulty;
+    let rise = getJumpHeight(jumpVelocity) * slack * (0.3 + 0.7 * random());
+    let gap = Math.min((1 + 4 * difficulty) * (0.5 + random()), getJumpReach(jumpVelocity, rise) * slack);
+
+    const extent = (config, dir) => Math.abs(dir.x) * config.size[0] / 2 + Math.abs(dir.y) * config.size[2] / 2;
+    const place = () => {
+        const distance = gap + extent(from, direction) + extent({ size }, direction);
+        return [
+            roundTo(fx + direction.x * distance, 0.01),
+            roundTo(fy + rise, 0.01),
+            roundTo(fz + direction.y * distance, 0.01)
+        ];
+    };
+
+    const config = { type, position: place(), size };
+    while (!isGapJumpable(from, config)) {
+        // Only rounding can push a gap over the edge; tighten until it fits
+        rise *= 0.8;
+        gap *= 0.8;
+        config.position = place();
+    }
+
+    const options = generatePlatformOptions(type, random, difficulty);
+    if (options) {
+        config.options = options;
     }
+    return config;
+}
+
+function pickPlatformType(random, difficulty) {
+    const weights = Object.keys(ENDLESS_TYPE_WEIGHTS).map(type => {
+        const [easy, hard] = ENDLESS_TYPE_WEIGHTS[type];
+        return { type, weight: easy + (hard - easy) * difficulty };
+    });
+
+    let roll = random() * weights.reduce((total, entry) => total + entry.weight, 0);
+    for (const entry of weights) {
+        roll -= entry.weight;
+        if (roll < 0) return entry.type;
+    }
+    return 'normal';
+}
+
+function generatePlatformOptions(type, random, difficulty) {
+    switch (type) {
+        case 'crumbling':
+            return { delay: roundTo(0.8 - 0.4 * difficulty, 0.01) };
+        case 'timed':
+            return {
+                onTime: roundTo(2.5 - difficulty, 0.01),
+                offTime: roundTo(1 + 0.5 * difficulty, 0.01),
+                offset: roundTo(random() * 2, 0.01)
+            };
+        case 'conveyor': {
+            const angle = random() * Math.PI * 2;
+            return {
+                directionX: roundTo(Math.cos(angle), 0.01),
+                directionZ: roundTo(Math.sin(angle), 0.01),
+                speed: roundTo(1 + difficulty, 0.01)
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+// Whether a running jump from the top of `from` can land on `to`
+function isGapJumpable(from, to) {
+    const rise = (to.position[1] + to.size[1] / 2) - (from.position[1] + from.size[1] / 2);
+    const reach = getJumpReach(getTakeoffVelocity(from.type), rise);
+    if (reach < 0) return false;
+
+    const dx = Math.max(0, Math.abs(to.position[0] - from.position[0]) - (from.size[0] + to.size[0]) / 2);
+    const dz = Math.max(0, Math.abs(to.position[2] - from.position[2]) - (from.size[2] + to.size[2]) / 2);
+    return Math.sqrt(dx * dx + dz * dz) <= reach;
+}
+
+function roundTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+function updateEndless() {
+    if (!endless) return;
 
-    // Fallback for invalid stage numbers
-    return stages[1];
+    if (player.isOnGround) {
+        endless.lastGroundY = player.position.y;
+        endless.bestHeight = Math.max(endless.bestHeight, Math.floor(player.position.y - PLAYER_EYE_HEIGHT));
+    }
+
+    // Falls are measured from the last platform stood on
+    world.fallLimit = endless.lastGroundY + FALL_LIMIT_Y;
+
+    if (endless.last.position[1] < player.position.y + ENDLESS_LOOKAHEAD) {
+        generateEndlessChunk();
+    }
+
+    // Forget what's far below; falling that far ends the run anyway
+    const floor = player.position.y - ENDLESS_CLEANUP;
+    if (world.platforms.some(p => p.mesh.position.y < floor)) {
+        world.platforms = world.platforms.filter(p => {
+            if (p.mesh.position.y >= floor || p === player.currentPlatform) return true;
+            scene.remove(p.mesh);
+            return false;
+        });
+    }
+}
+
+function endEndlessRun(message) {
+    const height = endless.bestHeight;
+    const isRecord = height > saveData.endless.best;
+    if (isRecord) {
+        saveData.endless = { best: height, seed: endless.seed };
+        writeSave();
+    }
+
+    const record = isRecord ? ' (신기록!)' : ` · 최고 ${saveData.endless.best}m`;
+    gameOver(`${message || '떨어졌습니다!'} 높이 ${height}m · 시드 ${endless.seed}${record}`);
 }
 
 // ========================================
-// EVENT LISTENERS
+// DAILY CHALLENGE
 // ========================================
+//
+// One stage a day, built by the endless tower generator from a seed made of
+// the UTC date so everyone plays the same layout whatever their timezone.
+// It has a string id ("daily-2026-10-19") and goes through loadStage like
+// any other stage, but keeps its own attempts and best time per day. A layout
+// that fails validation is rerolled from a seed derived from the date, so the
+// replacement is the same for everyone too.
+
+const DAILY_PLATFORMS = 24;
+const DAILY_MAX_REROLLS = 20;    // Layouts tried after the first before giving up on the day
+const DAILY_KEEP_DAYS = 30;      // Older daily records are dropped from the save
+const DAILY_PREFIX = 'daily-';
+
+function getDailyKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
 
-function setupEventListeners() {
-    // Start button
-    document.getElementById('start-button').addEventListener('click', startGame);
+function isDailyStage(stageNumber) {
+    return typeof stageNumber === 'string' && stageNumber.startsWith(DAILY_PREFIX);
+}
 
-    // Retry button
-    document.getElementById('retry-button').addEventListener('click', retryGame);
+// The day's stage: the first generated layout that passes validation, or null
+function getDailyStage(dateKey) {
+    for (let reroll = 0; reroll <= DAILY_MAX_REROLLS; reroll++) {
+        const stage = generateDailyStage(dateKey, reroll);
+        if (validateStage(stage).length === 0) return stage;
+    }
+    return null;
+}
 
-    // Menu button
-    document.getElementById('menu-button').addEventListener('click', returnToMenu);
+function generateDailyStage(dateKey, reroll = 0) {
+    // The first layout keeps the plain date seed
+    const random = createRandom(DAILY_PREFIX + dateKey + (reroll > 0 ? `#${reroll}` : ''));
+    const platforms = [ENDLESS_START];
 
-    // Play again button
-    document.getElementById('play-again-button').addEventListener('click', playAgain);
+    for (let i = 1; i <= DAILY_PLATFORMS; i++) {
+        const difficulty = 0.15 + 0.4 * (i / DAILY_PLATFORMS);
+        platforms.push(generateTowerPlatform(random, platforms[i - 1], difficulty));
+    }
 
-    // Pause menu buttons
-    document.getElementById('resume-button').addEventListener('click', resumeGame);
-    document.getElementById('restart-button').addEventListener('click', retryGame);
-    document.getElementById('pause-menu-button').addEventListener('click', returnToMenu);
+    // Finish on a plain platform wide enough to stop on
+    const goal = platforms[DAILY_PLATFORMS];
+    goal.type = 'normal';
+    goal.size = [Math.max(goal.size[0], 2), goal.size[1], Math.max(goal.size[2], 2)];
+    delete goal.options;
+
+    const [gx, gy, gz] = goal.position;
+    return {
+        id: DAILY_PREFIX + dateKey,
+        name: `일일 도전 ${dateKey}`,
+        spawnPoint: [0, 2, 0],
+        checkpoint: [gx, roundTo(gy + 1.5, 0.01), gz],
+        platforms
+    };
+}
 
-    // Keyboard controls
-    document.addEventListener('keydown', onKeyDown);
-    document.addEventListener('keyup', onKeyUp);
+// Short fingerprint of the layout, so shared results show it was the same stage
+function getLayoutCode(stage) {
+    return hashString(JSON.stringify(stage.platforms)).toString(36).padStart(7, '0');
+}
 
-    // Window resize
-    window.addEventListener('resize', onWindowResize);
+function startDaily() {
+    const dateKey = getDailyKey();
+    const stage = getDailyStage(dateKey);
+    if (!stage) {
+        setMenuStatus(`${dateKey} 일일 도전 스테이지를 만들지 못했습니다. 내일 다시 도전해 주세요.`);
+        return;
+    }
+    dailyStage = stage;
 
-    // Pointer lock change
-    document.addEventListener('pointerlockchange', onPointerLockChange);
+    pruneDailyRecords(dateKey);
+    recordDailyAttempt(dailyStage.id);
+    startGame(dailyStage.id);
+}
+
+function getDailyRecord(stageNumber) {
+    const dateKey = stageNumber.slice(DAILY_PREFIX.length);
+    if (!saveData.daily[dateKey]) {
+        saveData.daily[dateKey] = { attempts: 0, best: null };
+    }
+    return saveData.daily[dateKey];
+}
+
+function recordDailyAttempt(stageNumber) {
+    getDailyRecord(stageNumber).attempts++;
+    writeSave();
+}
+
+// Returns true when the time beats the day's best
+function recordDailyClear(stageNumber, time) {
+    const record = getDailyRecord(stageNumber);
+    const isRecord = record.best === null || time < record.best;
+    if (isRecord) {
+        record.best = time;
+    }
+    writeSave();
+    return isRecord;
+}
+
+function pruneDailyRecords(dateKey) {
+    const oldest = getDailyKey(new Date(Date.parse(dateKey) - DAILY_KEEP_DAYS * 86400000));
+    Object.keys(saveData.daily).forEach(key => {
+        if (key < oldest) delete saveData.daily[key];
+    });
+
+    // Ghosts from earlier days don't match today's layout
+    Object.keys(localStorage)
+        .filter(key => key.startsWith(REPLAY_KEY_PREFIX + DAILY_PREFIX) && key !== REPLAY_KEY_PREFIX + DAILY_PREFIX + dateKey)
+        .forEach(key => localStorage.removeItem(key));
+}
+
+function getDailyShareText(dateKey) {
+    const record = saveData.daily[dateKey];
+    if (!record || record.best === null) return null;
+
+    const layout = getLayoutCode(getDailyStage(dateKey));
+    return `점프맵 일일 도전 ${dateKey} #${layout} · 기록 ${formatSplitTime(record.best)} · 시도 ${record.attempts}회`;
+}
+
+function shareDailyResult() {
+    const text = getDailyShareText(getDailyKey());
+    if (!text) return;
+
+    const button = document.getElementById('daily-share-button');
+    const fallback = () => window.prompt('결과를 복사해서 공유하세요', text);
+    if (!navigator.clipboard) {
+        fallback();
+        return;
+    }
+
+    navigator.clipboard.writeText(text).then(() => {
+        button.textContent = '복사했습니다!';
+        setTimeout(() => { button.textContent = '결과 공유'; }, 1500);
+    }, fallback);
+}
+
+// ========================================
+// RACE
+// ========================================
+//
+// Races against other players through race-server.js. Everyone plays the
+// stage in their own simulation and sends where they are a few times a
+// second; the others show up as avatars drawn RACE_INTERPOLATION_DELAY in
+// the past, so there are always two updates to move smoothly between. The
+// server runs the lobby and the countdown, and times everyone from the end
+// of the countdown so pausing doesn't help.
+//
+// During a race deaths always respawn, and deaths and clears leave progress
+// and records alone.
+
+const RACE_DEFAULT_PORT = 8787;
+const RACE_SEND_TICKS = 6;              // Position updates every this many physics steps (20 a second)
+const RACE_INTERPOLATION_DELAY = 100;   // Milliseconds
+const RACE_COLORS = [0xe8590c, 0x2f9e44, 0xae3ec9, 0xf08c00, 0x1098ad, 0xd6336c, 0x5c940d, 0x3b5bdb];
+
+function getDefaultRaceServer() {
+    return `ws://${window.location.hostname || 'localhost'}:${RACE_DEFAULT_PORT}`;
 }
 
-function startGame() {
+function showRaceScreen() {
+    const saved = saveData.settings.race || {};
+    document.getElementById('race-server-input').value = saved.server || getDefaultRaceServer();
+    document.getElementById('race-name-input').value = saved.name || '';
+    document.getElementById('race-room-input').value = saved.room || '';
+
+    setRaceStatus('');
+    renderRaceScreen();
     document.getElementById('menu').style.display = 'none';
-    document.getElementById('game-ui').style.display = 'block';
+    document.getElementById('race-screen').style.display = 'flex';
+}
 
-    currentState = GameState.PLAYING;
-    currentStage = 1;
-    gameStartTime = Date.now();
+function hideRaceScreen() {
+    leaveRace();
+    document.getElementById('race-screen').style.display = 'none';
+    document.getElementById('menu').style.display = 'flex';
+}
 
-    loadStage(currentStage);
+function setRaceStatus(text) {
+    document.getElementById('race-status').textContent = text;
+}
 
-    // Request pointer lock
-    renderer.domElement.requestPointerLock();
+function joinRace() {
+    const server = document.getElementById('race-server-input').value.trim() || getDefaultRaceServer();
+    const name = document.getElementById('race-name-input').value.trim() || '플레이어';
+    const room = document.getElementById('race-room-input').value.trim() || 'lobby';
+    saveData.settings.race = { server, name, room };
+    writeSave();
+
+    let socket;
+    try {
+        socket = new WebSocket(server);
+    } catch (error) {
+        setRaceStatus(`서버 주소가 올바르지 않습니다: ${server}`);
+        return;
+    }
 
-    console.log('Game started!');
+    race = {
+        socket,
+        id: null,             // Our player id, from the welcome message
+        room: null,           // Latest room message from the server
+        avatars: new Map(),   // Player id -> { mesh, samples: [{ time, position, yaw }] }
+        countdownTimer: null,
+        isRacing: false,      // From the end of the countdown until the results
+        ticks: 0,
+        results: null,        // Standings of the last race
+        error: null           // Last error from the server, shown if it closes the connection
+    };
+    setRaceStatus('연결 중...');
+    renderRaceScreen();
+
+    // Messages of a connection we've already left are ignored
+    socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ type: 'join', room, name }));
+    });
+    socket.addEventListener('message', event => {
+        if (!race || race.socket !== socket) return;
+
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return;
+        }
+        const handler = RACE_MESSAGE_HANDLERS[message.type];
+        if (handler) {
+            handler(message);
+        }
+    });
+    socket.addEventListener('close', () => {
+        if (race && race.socket === socket) {
+            onRaceDisconnected();
+        }
+    });
+}
+
+function sendRace(message) {
+    if (race && race.socket.readyState === WebSocket.OPEN) {
+        race.socket.send(JSON.stringify(message));
+    }
+}
+
+function leaveRace() {
+    if (!race) return;
+
+    const socket = race.socket;
+    clearTimeout(race.countdownTimer);
+    removeRaceAvatars();
+    race = null;
+    socket.close();
+    renderRaceStandings();
+}
+
+function onRaceDisconnected() {
+    const message = race.error || (race.id === null ? '서버에 연결할 수 없습니다.' : '서버와 연결이 끊어졌습니다.');
+    const wasRacing = race.isRacing;
+    leaveRace();
+
+    if (wasRacing) {
+        stopGame();
+        document.getElementById('race-screen').style.display = 'flex';
+    }
+    renderRaceScreen();
+    setRaceStatus(message);
+}
+
+function getRaceColor(racer) {
+    return RACE_COLORS[racer.color % RACE_COLORS.length];
+}
+
+function getRacer(id) {
+    return race.room ? race.room.players.find(p => p.id === id) || null : null;
+}
+
+function isRaceHost() {
+    return race.room !== null && race.room.host === race.id;
+}
+
+const RACE_MESSAGE_HANDLERS = {
+    welcome({ id }) {
+        race.id = id;
+        setRaceStatus('');
+    },
+    room(message) {
+        race.room = message;
+
+        // Back in the lobby without a race: the countdown was called off
+        if (message.phase === 'lobby' && race.countdownTimer !== null) {
+            clearTimeout(race.countdownTimer);
+            race.countdownTimer = null;
+        }
+
+        // Racers who dropped out disappear
+        race.avatars.forEach((avatar, id) => {
+            const racer = getRacer(id);
+            if (!racer || !racer.connected) {
+                scene.remove(avatar.mesh);
+                race.avatars.delete(id);
+            }
+        });
+
+        renderRaceScreen();
+        renderRaceStandings();
+    },
+    countdown({ stage, startsIn }) {
+        startRaceCountdown(stage, startsIn);
+    },
+    state({ id, position, yaw }) {
+        addRaceSample(id, position, yaw);
+    },
+    progress({ id, deaths }) {
+        const racer = getRacer(id);
+        if (racer) {
+            racer.deaths = deaths;
+            renderRaceStandings();
+        }
+    },
+    finished({ id, time }) {
+        const racer = getRacer(id);
+        if (!racer) return;
+
+        racer.time = time;
+        renderRaceStandings();
+        if (id !== race.id && currentState === GameState.PLAYING) {
+            showMessage(`${racer.name} 완주! ${formatSplitTime(time)}`);
+        }
+    },
+    results({ stage, standings }) {
+        race.results = { stage, standings };
+        if (race.isRacing) {
+            race.isRacing = false;
+            removeRaceAvatars();
+            renderRaceStandings();
+            stopGame();
+            document.getElementById('race-screen').style.display = 'flex';
+        }
+        renderRaceScreen();
+    },
+    error({ message }) {
+        race.error = message;
+        setRaceStatus(message);
+    }
+};
+
+// Names are typed by other players, so they only ever go in as text
+function renderRaceScreen() {
+    const joined = race !== null && race.id !== null;
+    document.getElementById('race-join').style.display = joined ? 'none' : 'block';
+    document.getElementById('race-lobby').style.display = joined ? 'block' : 'none';
+    document.getElementById('race-join-button').disabled = race !== null;
+    document.getElementById('race-countdown').textContent = '';
+    if (!joined || !race.room) return;
+
+    const room = race.room;
+    document.getElementById('race-room-label').textContent = `방: ${room.room}`;
+
+    // Stage picker, only the host can change it
+    const stageInput = document.getElementById('race-stage-input');
+    stageInput.innerHTML = '';
+    getAllStages().forEach(stage => {
+        const option = document.createElement('option');
+        option.value = stage.id;
+        option.textContent = `${isBonusStage(stage.id) ? `B${stage.id - totalStages}` : stage.id}. ${stage.name}`;
+        stageInput.appendChild(option);
+    });
+    stageInput.value = room.stage;
+    stageInput.disabled = !isRaceHost() || room.phase !== 'lobby';
+
+    const table = document.getElementById('race-player-table');
+    table.innerHTML = '';
+    room.players.forEach(p => {
+        const row = table.insertRow();
+        row.insertCell().textContent = `${p.name}${p.id === room.host ? ' 👑' : ''}${p.id === race.id ? ' (나)' : ''}`;
+        row.insertCell().textContent = p.ready ? '준비 완료' : '대기';
+        row.style.color = `#${getRaceColor(p).toString(16).padStart(6, '0')}`;
+    });
+
+    // Can't race a stage this client doesn't have (another level pack)
+    const hasStage = findStage(room.stage) !== null;
+    const me = getRacer(race.id);
+    const readyButton = document.getElementById('race-ready-button');
+    readyButton.textContent = me && me.ready ? '준비 취소' : '준비';
+    readyButton.disabled = room.phase !== 'lobby' || (!hasStage && !(me && me.ready));
+
+    renderRaceResults();
+    if (room.phase === 'lobby' && !hasStage) {
+        setRaceStatus(`스테이지 ${room.stage}이(가) 없어서 준비할 수 없습니다.`);
+    } else if (room.phase === 'lobby' && room.players.length < 2) {
+        setRaceStatus('다른 플레이어를 기다리는 중...');
+    } else if (room.phase === 'lobby' && !room.players.every(p => p.ready)) {
+        setRaceStatus('모두 준비하면 시작합니다.');
+    } else if (room.phase === 'racing' && !race.isRacing) {
+        setRaceStatus('레이스 진행 중...');
+    } else {
+        setRaceStatus('');
+    }
+}
+
+function renderRaceResults() {
+    const table = document.getElementById('race-results-table');
+    table.innerHTML = '';
+    table.style.display = race.results ? 'table' : 'none';
+    if (!race.results) return;
+
+    const header = table.insertRow();
+    ['순위', '이름', '기록', '사망'].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+
+    race.results.standings.forEach((entry, i) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = entry.time === null ? '-' : `${i + 1}`;
+        row.insertCell().textContent = entry.name;
+        row.insertCell().textContent = entry.time === null ? '완주 못 함' : formatSplitTime(entry.time);
+        row.insertCell().textContent = entry.deaths;
+        if (entry.id === race.id) {
+            row.className = 'race-you';
+        }
+    });
+}
+
+function onRaceStageChanged() {
+    sendRace({ type: 'stage', stage: Number(document.getElementById('race-stage-input').value) });
+}
+
+function toggleRaceReady() {
+    const me = getRacer(race.id);
+    sendRace({ type: 'ready', ready: !(me && me.ready) });
+}
+
+// Everyone's client starts the stage when the server's countdown runs out
+function startRaceCountdown(stage, startsIn) {
+    // Leave rather than hold up the others until the race times out
+    if (!findStage(stage)) {
+        leaveRace();
+        renderRaceScreen();
+        setRaceStatus(`스테이지 ${stage}이(가) 없어서 경주에서 나왔습니다.`);
+        return;
+    }
+
+    const startsAt = performance.now() + startsIn;
+    const tick = () => {
+        const remaining = startsAt - performance.now();
+        if (remaining <= 0) {
+            race.countdownTimer = null;
+            startRaceStage(stage);
+            return;
+        }
+        document.getElementById('race-countdown').textContent = Math.ceil(remaining / 1000);
+        race.countdownTimer = setTimeout(tick, remaining % 1000 || 1000);
+    };
+    setRaceStatus('');
+    tick();
+}
+
+function startRaceStage(stage) {
+    document.getElementById('race-screen').style.display = 'none';
+    race.isRacing = true;
+    race.ticks = 0;
+    race.results = null;
+
+    race.room.players.forEach(p => {
+        p.time = null;
+        p.deaths = 0;
+        if (p.id !== race.id) {
+            addRaceAvatar(p);
+        }
+    });
+
+    startGame(stage);
+    renderRaceStandings();
+}
+
+// Reached the checkpoint: the server's clock has the official time
+function finishRace() {
+    sendRace({ type: 'finish' });
+    showMessage(`완주! ${formatSplitTime(runTimer.elapsed)} · 다른 플레이어를 기다리는 중`);
+}
+
+// Called every physics step while racing
+function sendRaceState() {
+    if (!race || !race.isRacing) return;
+
+    race.ticks++;
+    if (race.ticks % RACE_SEND_TICKS !== 0) return;
+
+    const { x, y, z } = player.position;
+    sendRace({
+        type: 'state',
+        position: [roundTo(x, 0.01), roundTo(y, 0.01), roundTo(z, 0.01)],
+        yaw: roundTo(player.yaw, 0.01)
+    });
+}
+
+// === RACE AVATARS ===
+
+function addRaceAvatar(racer) {
+    const mesh = createPlayerModel(getRaceColor(racer));
+    mesh.visible = false;  // Until its first position arrives
+    scene.add(mesh);
+    race.avatars.set(racer.id, { mesh, samples: [] });
+}
+
+function addRaceSample(id, position, yaw) {
+    const avatar = race.avatars.get(id);
+    if (!avatar) return;
+
+    avatar.samples.push({ time: performance.now(), position: new THREE.Vector3().fromArray(position), yaw });
+}
+
+// Called every frame: places each avatar between the two updates around the delayed time
+function updateRaceAvatars() {
+    const renderTime = performance.now() - RACE_INTERPOLATION_DELAY;
+    const position = new THREE.Vector3();
+
+    race.avatars.forEach(avatar => {
+        const samples = avatar.samples;
+        if (samples.length === 0) return;
+
+        while (samples.length > 2 && samples[1].time <= renderTime) {
+            samples.shift();
+        }
+
+        const from = samples[0];
+        const to = samples[1] || from;
+        const f = to.time > from.time ? Math.max(0, Math.min(1, (renderTime - from.time) / (to.time - from.time))) : 1;
+
+        // Turn the short way round
+        const turn = Math.atan2(Math.sin(to.yaw - from.yaw), Math.cos(to.yaw - from.yaw));
+
+        position.lerpVectors(from.position, to.position, f);
+        avatar.mesh.position.set(position.x, position.y - PLAYER_EYE_HEIGHT, position.z);
+        avatar.mesh.rotation.y = from.yaw + turn * f;
+        avatar.mesh.visible = true;
+    });
+}
+
+function removeRaceAvatars() {
+    race.avatars.forEach(avatar => scene.remove(avatar.mesh));
+    race.avatars.clear();
+}
+
+// HUD list of racers with their deaths, or their time once finished
+function renderRaceStandings() {
+    const list = document.getElementById('race-standings');
+    list.innerHTML = '';
+    list.style.display = race && race.isRacing ? 'block' : 'none';
+    if (!race || !race.isRacing) return;
+
+    race.room.players.forEach(p => {
+        const item = document.createElement('div');
+        item.textContent = `${p.name} ${p.time !== null ? formatSplitTime(p.time) : `💀 ${p.deaths}`}`;
+        item.style.color = p.id === race.id ? '#fff' : `#${getRaceColor(p).toString(16).padStart(6, '0')}`;
+        if (!p.connected) {
+            item.classList.add('left');
+        }
+        list.appendChild(item);
+    });
+}
+
+// ========================================
+// SPLIT SCREEN
+// ========================================
+//
+// Two players on one machine race through the same stage. Both bodies live
+// in the one world, so platforms, hazards and gems are shared; each player
+// has their own controls, camera and HUD. The screen splits top (1P) and
+// bottom (2P), each half rendered with its own viewport and scissor.
+//
+// Player two needs a gamepad. With one pad connected it goes to player two
+// and player one keeps the keyboard and mouse; with two, player one also gets
+// the first. Pads plugged in later go to whoever is missing one.
+//
+// The first to touch the checkpoint wins the stage. Deaths always respawn,
+// and nothing is recorded: no replays, ghosts, records or progress.
+
+const SPLIT_PLAYER_COLOR = 0xe8590c;
+const SPLIT_PLAYER_LABELS = ['1P', '2P'];
+
+// Players sharing this screen: the player, plus player two in split screen
+function getLocalPlayers() {
+    return splitScreen ? [player, splitScreen.player] : [player];
+}
+
+// Prefix for messages about a player, empty outside split screen
+function getPlayerLabel(body) {
+    return splitScreen ? `${SPLIT_PLAYER_LABELS[getLocalPlayers().indexOf(body)]}: ` : '';
+}
+
+function startSplitScreen(stageNumber) {
+    splitScreen = {
+        player: new Player(createControls(), SPLIT_PLAYER_COLOR),
+        padIndices: [null, null]   // Gamepad index each player reads, see assignSplitScreenPads
+    };
+    splitScreen.player.input = createInputSource(false);
+    pollGamepads();
+
+    document.getElementById('game-ui').classList.add('split-screen');
+    document.getElementById('player2-view').style.display = 'block';
+    onWindowResize();
+    startGame(stageNumber);
+}
+
+function endSplitScreen() {
+    if (!splitScreen) return;
+
+    scene.remove(splitScreen.player.mesh);
+    splitScreen = null;
+    document.getElementById('game-ui').classList.remove('split-screen');
+    document.getElementById('player2-view').style.display = 'none';
+    document.getElementById('versus-results').style.display = 'none';
+    onWindowResize();
+}
+
+function assignSplitScreenPads() {
+    const assigned = splitScreen.padIndices;
+
+    // Forget pads that were unplugged
+    assigned.forEach((index, i) => {
+        if (index !== null && !gamepads.some(pad => pad.index === index)) {
+            assigned[i] = null;
+        }
+    });
+
+    const free = gamepads.filter(pad => !assigned.includes(pad.index));
+    if (assigned[0] === null && assigned[1] === null && free.length >= 2) {
+        assigned[0] = free.shift().index;
+    }
+    if (assigned[1] === null && free.length > 0) {
+        assigned[1] = free.shift().index;
+    }
+    if (assigned[0] === null && free.length > 0) {
+        assigned[0] = free.shift().index;
+    }
+
+    getLocalPlayers().forEach((target, i) => {
+        target.input.pad = gamepads.find(pad => pad.index === assigned[i]) || NO_GAMEPAD;
+    });
+}
+
+function finishSplitScreen() {
+    if (currentState !== GameState.PLAYING) return;
+
+    // Both can touch the checkpoint in the same step
+    const players = getLocalPlayers();
+    const winners = players.filter(p => p.checkpointReached);
+
+    currentState = GameState.VICTORY;
+    document.getElementById('versus-title').textContent = winners.length > 1
+        ? '무승부!'
+        : `${SPLIT_PLAYER_LABELS[players.indexOf(winners[0])]} 승리!`;
+
+    const table = document.getElementById('versus-table');
+    table.innerHTML = `
+        <tr><th>플레이어</th><th>기록</th><th>사망</th><th>남은 거리</th></tr>
+        ${players.map((p, i) => `
+            <tr class="${p.checkpointReached ? 'winner' : ''}">
+                <td>${SPLIT_PLAYER_LABELS[i]}</td>
+                <td>${p.checkpointReached ? formatSplitTime(runTimer.elapsed) : '미완주'}</td>
+                <td>${p.deaths}</td>
+                <td>${p.checkpointReached ? '-' : `${Math.round(p.position.distanceTo(world.checkpoint))}m`}</td>
+            </tr>
+        `).join('')}
+    `;
+
+    document.getElementById('versus-results').style.display = 'flex';
+    document.exitPointerLock();
+}
+
+function rematchSplitScreen() {
+    document.getElementById('versus-results').style.display = 'none';
+
+    currentState = GameState.PLAYING;
+    runTimer = createRunTimer(currentStage);
+    loadStage(currentStage);
+
+    renderer.domElement.requestPointerLock();
+}
+
+function updateSplitScreenHUD() {
+    const second = splitScreen.player;
+    document.getElementById('player2-timer').textContent = formatSplitTime(runTimer.elapsed);
+    document.getElementById('player2-height').textContent = `${Math.max(0, Math.floor(second.position.y))}m`;
+    document.getElementById('player2-deaths').textContent = `${second.deaths}`;
+    document.getElementById('player2-pad').textContent = second.input.pad.id ? '' : '게임패드를 연결하세요';
+}
+
+// One viewport per local player, stacked top to bottom
+function renderPlayerViews(eyePositions) {
+    const players = getLocalPlayers();
+    if (players.length === 1) {
+        updateCamera(eyePositions[0]);
+        renderer.render(scene, camera);
+        return;
+    }
+
+    const width = window.innerWidth;
+    const height = window.innerHeight / players.length;
+    players.forEach((p, i) => p.updateMesh(eyePositions[i]));
+
+    renderer.setScissorTest(true);
+    players.forEach((p, i) => {
+        // Viewports count from the bottom of the canvas
+        const y = (players.length - 1 - i) * height;
+        renderer.setViewport(0, y, width, height);
+        renderer.setScissor(0, y, width, height);
+
+        updateCamera(eyePositions[i], p);
+        players.forEach(other => {
+            if (other !== p) other.mesh.visible = true;
+        });
+        renderer.render(scene, camera);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, window.innerHeight);
+}
+
+// ========================================
+// LEVEL FORMAT
+// ========================================
+//
+// Level pack (version 1):
+// {
+//     "format": "jumpmap-levels",
+//     "version": 1,
+//     "stages": [
+//         {
+//             "id": 1,                          // 1..N, in play order
+//             "name": "Tutorial",
+//             "spawnPoint": [x, y, z],
+//             "checkpoint": [x, y, z],
+//             "respawnPoints": [[x, y, z]],       // Optional mid-stage flags, like spawnPoint
+//             "collectibles": [[x, y, z]],        // Optional
+//             "parTime": 12.5,                    // Optional, seconds for the time star
+//             "abilities": { "doubleJump": true },  // Optional, see ABILITIES
+//             "platforms": [
+//                 { "type": "normal", "position": [x, y, z], "size": [w, h, d] },
+//                 { "type": "moving", "position": [x, y, z], "size": [w, h, d],
+//                   "moveData": { "endX": 5, "endY": 2, "endZ": -7, "speed": 0.8 } },
+//                 { "type": "timed", "position": [x, y, z], "size": [w, h, d],
+//                   "options": { "onTime": 2, "offTime": 1.5 } }       // Optional, see PLATFORM_TYPES
+//             ],
+//             "hazards": [                                           // Optional, see HAZARD_TYPES
+//                 { "type": "bar", "position": [x, y, z], "length": 3, "speed": 1.5 },
+//                 { "type": "cannon", "position": [x, y, z], "direction": [1, 0, 0], "interval": 2 },
+//                 { "type": "wind", "position": [x, y, z], "size": [4, 4, 4], "force": [0, 0, -30] }
+//             ]
+//         }
+//     ],
+//     "bonusStages": [                            // Optional, ids continue after "stages"
+//         { "id": 21, "starsRequired": 20, ... }  // Same fields as a stage
+//     ]
+// }
+
+function loadLevelPack(data) {
+    const pack = typeof data === 'string' ? JSON.parse(data) : data;
+    const errors = validateLevelPack(pack);
+    if (errors.length > 0) {
+        throw new Error(`Invalid level pack:\n${errors.join('\n')}`);
+    }
+
+    levelPack = pack;
+    totalStages = pack.stages.length;
+    console.log(`Level pack loaded (${totalStages} stages)`);
+}
+
+// Designers can point the game at their own pack: index.html?levels=my-stages.json.
+// Resolves with an error message for the menu when the built-in stages stay instead.
+function loadExternalLevels(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url} (${response.status})`);
+            }
+            return response.text();
+        })
+        .then(text => {
+            loadLevelPack(text);
+            return '';
+        })
+        .catch(error => `레벨 팩 ${url}을(를) 불러오지 못해 기본 스테이지를 사용합니다.\n${error.message}`);
+}
+
+function validateLevelPack(pack) {
+    if (!isPlainObject(pack)) {
+        return ['level pack: expected an object'];
+    }
+
+    const errors = [];
+    if (pack.version !== LEVEL_FORMAT_VERSION) {
+        errors.push(`version: unsupported version ${JSON.stringify(pack.version)} (expected ${LEVEL_FORMAT_VERSION})`);
+    }
+    if (!Array.isArray(pack.stages) || pack.stages.length === 0) {
+        errors.push('stages: expected a non-empty array');
+        return errors;
+    }
+
+    pack.stages.forEach((stage, index) => {
+        const label = `stages[${index}]`;
+        if (isPlainObject(stage) && stage.id !== index + 1) {
+            errors.push(`${label}.id: expected ${index + 1}, got ${JSON.stringify(stage.id)} (ids must run 1..N in order)`);
+        }
+        if (isPlainObject(stage) && stage.starsRequired !== undefined) {
+            errors.push(`${label}.starsRequired: only allowed on bonus stages`);
+        }
+        validateStage(stage).forEach(error => errors.push(`${label}.${error}`));
+    });
+
+    if (pack.bonusStages !== undefined) {
+        if (!Array.isArray(pack.bonusStages)) {
+            errors.push('bonusStages: expected an array');
+            return errors;
+        }
+
+        pack.bonusStages.forEach((stage, index) => {
+            const label = `bonusStages[${index}]`;
+            const id = pack.stages.length + index + 1;
+            if (isPlainObject(stage) && stage.id !== id) {
+                errors.push(`${label}.id: expected ${id}, got ${JSON.stringify(stage.id)} (ids continue after the main stages)`);
+            }
+            if (isPlainObject(stage) && stage.starsRequired === undefined) {
+                errors.push(`${label}.starsRequired: missing`);
+            }
+            validateStage(stage).forEach(error => errors.push(`${label}.${error}`));
+        });
+    }
+
+    return errors;
+}
+
+function validateStage(stage) {
+    const errors = validateStageFields(stage);
+
+    // Layout checks only make sense once every field is well-formed
+    return errors.length > 0 ? errors : validateStageLayout(stage);
+}
+
+function validateStageLayout(stage) {
+    const errors = [];
+    if (!stage.platforms.some(p => isAbovePlatform(stage.spawnPoint, p))) {
+        errors.push(`spawnPoint: [${stage.spawnPoint.join(', ')}] is not above any platform`);
+    }
+    (stage.respawnPoints || []).forEach((point, index) => {
+        if (!stage.platforms.some(p => isAbovePlatform(point, p))) {
+            errors.push(`respawnPoints[${index}]: [${point.join(', ')}] is not above any platform`);
+        }
+    });
+    if (!isCheckpointReachable(stage)) {
+        errors.push(`checkpoint: [${stage.checkpoint.join(', ')}] can't be reached from any platform`);
+    }
+    return errors;
+}
+
+// Quick estimate from jump arcs, good enough to catch typos while editing.
+// check-stages.js searches a stage with the real simulation instead.
+function isCheckpointReachable(stage) {
+    const [cx, cy, cz] = stage.checkpoint;
+    if (cy < FALL_LIMIT_Y) return false;
+
+    // A double jump adds its height on top (treated as one bigger jump), a dash adds its distance
+    const abilities = getStageAbilities(stage);
+    const airJump = abilities.doubleJump ? MOVEMENT_PROFILE.doubleJumpForce : 0;
+    const dashReach = abilities.airDash ? MOVEMENT_PROFILE.dashSpeed * MOVEMENT_PROFILE.dashTime : 0;
+
+    return stage.platforms.some(p => {
+        const takeoff = getTakeoffVelocity(p.type);
+        const jumpVelocity = Math.sqrt(takeoff * takeoff + airJump * airJump);
+        const jumpHeight = getJumpHeight(jumpVelocity);
+
+        return getPlatformSurfaces(p).some(surface => {
+            const eyeY = surface.top + PLAYER_EYE_HEIGHT;
+            const rise = cy - eyeY;
+            if (rise > jumpHeight + CHECKPOINT_RADIUS) return false;
+
+            const dx = Math.max(0, Math.abs(cx - surface.x) - surface.halfWidth);
+            const dz = Math.max(0, Math.abs(cz - surface.z) - surface.halfDepth);
+            const reach = getJumpReach(jumpVelocity, Math.min(rise, jumpHeight)) + dashReach;
+            return Math.sqrt(dx * dx + dz * dz) <= reach + CHECKPOINT_RADIUS;
+        });
+    });
+}
+
+// Upward speed when leaving a platform of this type (jump or launch pad)
+function getTakeoffVelocity(type) {
+    const physics = getPlatformType(type).physics;
+    return MOVEMENT_PROFILE.jumpForce * Math.max(physics.jumpMultiplier, physics.launchMultiplier);
+}
+
+function getJumpHeight(jumpVelocity) {
+    return (jumpVelocity * jumpVelocity) / (2 * MOVEMENT_PROFILE.gravity);
+}
+
+// Horizontal distance covered by a running jump before coming back down to
+// `rise` above the take-off height, or -1 if `rise` is higher than the jump
+function getJumpReach(jumpVelocity, rise) {
+    if (rise > getJumpHeight(jumpVelocity)) return -1;
+
+    // Steady-state horizontal speed while running (acceleration vs. damping in updatePhysics)
+    const maxSpeed = MOVEMENT_PROFILE.runSpeed * 100 / 10;
+
+    // Time in the air until back at the landing height
+    const gravity = MOVEMENT_PROFILE.gravity;
+    const climb = Math.max(0, rise);
+    const airTime = (jumpVelocity + Math.sqrt(jumpVelocity * jumpVelocity - 2 * gravity * climb)) / gravity;
+    return maxSpeed * airTime;
+}
+
+function isAbovePlatform(point, platform) {
+    return getPlatformSurfaces(platform).some(surface =>
+        Math.abs(point[0] - surface.x) <= surface.halfWidth &&
+        Math.abs(point[2] - surface.z) <= surface.halfDepth &&
+        point[1] >= surface.top
+    );
+}
+
+function getPlatformSurfaces(platform) {
+    const [x, y, z] = platform.position;
+    const [width, height, depth] = platform.size;
+    const positions = [[x, y, z]];
+
+    // Sample the path of moving platforms
+    if (getPlatformType(platform.type).usesMoveData) {
+        const move = platform.moveData;
+        for (let i = 1; i <= 4; i++) {
+            const t = i / 4;
+            positions.push([
+                x + (move.endX - x) * t,
+                y + (move.endY - y) * t,
+                z + (move.endZ - z) * t
+            ]);
+        }
+    }
+
+    return positions.map(([px, py, pz]) => ({
+        x: px,
+        z: pz,
+        top: py + height / 2,
+        halfWidth: width / 2,
+        halfDepth: depth / 2
+    }));
+}
+
+// ========================================
+// SAVE SYSTEM
+// ========================================
+//
+// Progress lives in localStorage under SAVE_KEY as { version, ...data }.
+// When the shape changes, bump SAVE_VERSION and add a migration from the
+// previous version to SAVE_MIGRATIONS; old saves are upgraded step by step.
+
+// SAVE_MIGRATIONS[n] upgrades a version n save to version n + 1
+const SAVE_MIGRATIONS = {
+    // v2: personal-best splits for full runs
+    1: data => ({ ...data, pbSplits: [] }),
+    // v3: star ratings
+    2: data => ({ ...data, stars: {} }),
+    // v4: endless tower record
+    3: data => ({ ...data, endless: { best: 0, seed: null } }),
+    // v5: daily challenge records
+    4: data => ({ ...data, daily: {} }),
+    // v6: stage best times now run through deaths and retries; older ones timed a
+    // single attempt, so they're kept apart and only shown until a new time is set
+    5: data => ({ ...data, bestTimes: {}, attemptTimes: data.bestTimes || {} })
+};
+
+function createDefaultSave() {
+    return {
+        version: SAVE_VERSION,
+        highestUnlocked: 1,   // Highest stage the player may start from
+        lastStage: 1,         // Stage the "continue" button resumes
+        bestTimes: {},        // stageId -> milliseconds from entering the stage, deaths included
+        attemptTimes: {},     // stageId -> milliseconds of a single attempt, best times from before v6
+        deaths: {},           // stageId -> count
+        pbSplits: [],         // Cumulative milliseconds per stage of the best full run
+        stars: {},            // stageId -> best star rating (1-3)
+        endless: { best: 0, seed: null }, // Highest endless tower height and its seed
+        daily: {},            // "YYYY-MM-DD" -> { attempts, best }
+        settings: {}
+    };
+}
+
+function loadSave() {
+    let raw = null;
+    try {
+        raw = localStorage.getItem(SAVE_KEY);
+    } catch (error) {
+        console.warn('localStorage is not available, progress will not be saved.');
+        return createDefaultSave();
+    }
+    if (!raw) return createDefaultSave();
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        console.error('Save data is corrupted, starting fresh.');
+        backupSave(raw);
+        return createDefaultSave();
+    }
+
+    if (!isPlainObject(data) || !Number.isInteger(data.version) || data.version > SAVE_VERSION) {
+        console.error(`Unsupported save version ${isPlainObject(data) ? data.version : '?'}, starting fresh.`);
+        backupSave(raw);
+        return createDefaultSave();
+    }
+
+    try {
+        while (data.version < SAVE_VERSION) {
+            const migrate = SAVE_MIGRATIONS[data.version];
+            if (!migrate) {
+                throw new Error(`No migration from save version ${data.version}`);
+            }
+            data = migrate(data);
+            data.version++;
+        }
+    } catch (error) {
+        console.error(`Save migration failed: ${error.message}`);
+        backupSave(raw);
+        return createDefaultSave();
+    }
+
+    return sanitizeSave(data);
+}
+
+function sanitizeSave(data) {
+    // Fill in anything missing or malformed from the defaults
+    const save = createDefaultSave();
+    const clampStage = value => Math.max(1, Math.min(totalStages, Math.floor(value)));
+
+    if (Number.isFinite(data.highestUnlocked)) save.highestUnlocked = clampStage(data.highestUnlocked);
+    if (Number.isFinite(data.lastStage)) save.lastStage = Math.min(clampStage(data.lastStage), save.highestUnlocked);
+    if (isPlainObject(data.bestTimes)) save.bestTimes = data.bestTimes;
+    if (isPlainObject(data.attemptTimes)) save.attemptTimes = data.attemptTimes;
+    if (isPlainObject(data.deaths)) save.deaths = data.deaths;
+    if (Array.isArray(data.pbSplits) && data.pbSplits.every(Number.isFinite)) save.pbSplits = data.pbSplits;
+    if (isPlainObject(data.stars)) save.stars = data.stars;
+    if (isPlainObject(data.endless) && Number.isFinite(data.endless.best)) save.endless = data.endless;
+    if (isPlainObject(data.daily)) save.daily = data.daily;
+    if (isPlainObject(data.settings)) save.settings = data.settings;
+
+    return save;
+}
+
+function writeSave() {
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
+    } catch (error) {
+        console.warn('Could not write save data.');
+    }
+}
+
+function backupSave(raw) {
+    try {
+        localStorage.setItem(`${SAVE_KEY}.backup`, raw);
+    } catch (error) {
+        // Nothing more we can do
+    }
+}
+
+function recordPersonalBest(splits) {
+    const pb = saveData.pbSplits;
+    const total = splits[splits.length - 1];
+    if (pb.length === splits.length && pb[pb.length - 1] <= total) return false;
+
+    saveData.pbSplits = splits.slice();
+    writeSave();
+    return true;
+}
+
+function recordStageClear(stageNumber, time, stars) {
+    const best = saveData.bestTimes[stageNumber];
+    if (best === undefined || time < best) {
+        saveData.bestTimes[stageNumber] = time;
+    }
+    saveData.stars[stageNumber] = Math.max(saveData.stars[stageNumber] || 0, stars);
+
+    // Bonus stages sit outside the main progression
+    if (!isBonusStage(stageNumber)) {
+        const nextStage = Math.min(stageNumber + 1, totalStages);
+        saveData.highestUnlocked = Math.max(saveData.highestUnlocked, nextStage);
+        saveData.lastStage = nextStage;
+    }
+    writeSave();
+}
+
+function recordDeath(stageNumber) {
+    // Daily stages only count attempts, see recordDailyAttempt
+    if (isDailyStage(stageNumber)) return;
+
+    saveData.deaths[stageNumber] = (saveData.deaths[stageNumber] || 0) + 1;
+    if (!isBonusStage(stageNumber)) {
+        saveData.lastStage = stageNumber;
+    }
+    writeSave();
+}
+
+// ========================================
+// STAR RATING
+// ========================================
+//
+// A clear earns one star, one more for finding every collectible and one
+// more for beating the stage's par time without dying. Stages without
+// collectibles give that star away; stages without a par time only ask for
+// no deaths. Bonus stages unlock once the total star count is high enough.
+
+function rateStage(stage, time, deaths, found) {
+    let stars = 1;
+    if (found >= stage.collectibles.length) {
+        stars++;
+    }
+    if (deaths === 0 && (stage.parTime === undefined || time <= stage.parTime * 1000)) {
+        stars++;
+    }
+    return stars;
+}
+
+function getTotalStars() {
+    return Object.values(saveData.stars).reduce((total, stars) => total + stars, 0);
+}
+
+function getMaxStars() {
+    return getAllStages().length * 3;
+}
+
+function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+function isBonusStage(stageNumber) {
+    return stageNumber > totalStages;
+}
+
+function isStageUnlocked(stageNumber) {
+    if (isBonusStage(stageNumber)) {
+        return getTotalStars() >= getStageConfig(stageNumber).starsRequired;
+    }
+    return stageNumber <= saveData.highestUnlocked;
+}
+
+// ========================================
+// STAGE SELECT
+// ========================================
+
+function setMenuStatus(text) {
+    document.getElementById('menu-status').textContent = text;
+}
+
+function updateMenu() {
+    const continueButton = document.getElementById('continue-button');
+    const hasProgress = saveData.highestUnlocked > 1 || Object.keys(saveData.deaths).length > 0;
+    continueButton.style.display = hasProgress ? 'block' : 'none';
+    continueButton.textContent = `이어하기 (스테이지 ${saveData.lastStage})`;
+
+    document.getElementById('hardcore-button').textContent =
+        `하드코어: ${saveData.settings.hardcore ? '켬' : '끔'}`;
+
+    const best = saveData.endless.best;
+    document.getElementById('endless-button').textContent = best > 0 ? `무한 타워 (최고 ${best}m)` : '무한 타워';
+
+    const today = saveData.daily[getDailyKey()];
+    let dailyLabel = '일일 도전';
+    if (today && today.best !== null) {
+        dailyLabel += ` (${formatSplitTime(today.best)} · ${today.attempts}회)`;
+    } else if (today) {
+        dailyLabel += ` (${today.attempts}회)`;
+    }
+    document.getElementById('daily-button').textContent = dailyLabel;
+
+    // Split screen can be played on any unlocked stage
+    const versusStageInput = document.getElementById('versus-stage-input');
+    const versusStage = versusStageInput.value;
+    versusStageInput.innerHTML = '';
+    getAllStages().filter(stage => isStageUnlocked(stage.id)).forEach(stage => {
+        const option = document.createElement('option');
+        option.value = stage.id;
+        option.textContent = `${isBonusStage(stage.id) ? `B${stage.id - totalStages}` : stage.id}. ${stage.name}`;
+        versusStageInput.appendChild(option);
+    });
+    if (versusStage) {
+        versusStageInput.value = versusStage;
+    }
+    document.getElementById('daily-share-button').style.display = today && today.best !== null ? 'block' : 'none';
+}
+
+function toggleHardcore() {
+    saveData.settings.hardcore = !saveData.settings.hardcore;
+    writeSave();
+    updateMenu();
+}
+
+function showStageSelect() {
+    const grid = document.getElementById('stage-grid');
+    grid.innerHTML = '';
+
+    getAllStages().forEach(stage => {
+        const stageNumber = stage.id;
+        const bonus = isBonusStage(stageNumber);
+        const locked = !isStageUnlocked(stageNumber);
+        const best = saveData.bestTimes[stageNumber];
+        const attemptBest = saveData.attemptTimes[stageNumber];
+        const deaths = saveData.deaths[stageNumber] || 0;
+        const stars = saveData.stars[stageNumber] || 0;
+
+        const cell = document.createElement('div');
+        cell.className = 'stage-cell';
+
+        const label = bonus ? `B${stageNumber - totalStages}` : stageNumber;
+        let time = '-';
+        if (best !== undefined) {
+            time = `⏱ ${formatTime(best)}`;
+        } else if (attemptBest !== undefined) {
+            time = `⏱ ${formatTime(attemptBest)} (한 번의 시도)`;
+        }
+        const stats = locked && bonus ? `★ ${stage.starsRequired} 필요` : `${time} · 💀 ${deaths}`;
+
+        const button = document.createElement('button');
+        button.className = bonus ? 'stage-tile bonus' : 'stage-tile';
+        button.disabled = locked;
+        button.innerHTML = `
+            <span class="stage-tile-number">${locked ? '🔒' : label}</span>
+            <span class="stage-tile-name"></span>
+            <span class="stage-tile-stars">${formatStars(stars)}</span>
+            <span class="stage-tile-stats">${stats}</span>
+        `;
+        button.querySelector('.stage-tile-name').textContent = stage.name;
+        button.addEventListener('click', () => {
+            document.getElementById('stage-select').style.display = 'none';
+            startGame(stageNumber);
+        });
+        cell.appendChild(button);
+
+        // Best run replay
+        const replay = loadStageReplay(stageNumber);
+        if (replay) {
+            const actions = document.createElement('div');
+            actions.className = 'stage-tile-actions';
+            actions.innerHTML = `
+                <button class="watch" title="리플레이 보기">▶ ${formatSplitTime(replay.ticks * PHYSICS_STEP * 1000)}</button>
+                <button class="export" title="리플레이 내보내기">⬇</button>
+            `;
+            actions.querySelector('.watch').addEventListener('click', () => startSpectating(replay));
+            actions.querySelector('.export').addEventListener('click', () => exportStageReplay(stageNumber));
+            cell.appendChild(actions);
+        }
+
+        grid.appendChild(cell);
+    });
+
+    document.getElementById('stage-select-stars').textContent = `★ ${getTotalStars()} / ${getMaxStars()}`;
+    setStageSelectStatus('');
+    document.getElementById('menu').style.display = 'none';
+    document.getElementById('stage-select').style.display = 'flex';
+}
+
+function setStageSelectStatus(text) {
+    document.getElementById('stage-select-status').textContent = text;
+}
+
+function hideStageSelect() {
+    document.getElementById('stage-select').style.display = 'none';
+    document.getElementById('menu').style.display = 'flex';
+}
+
+function formatTime(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// ========================================
+// SPEEDRUN TIMER
+// ========================================
+//
+// Run time only advances while a stage is being played: pause, game-over
+// screens and the transition after a checkpoint are excluded. Full runs
+// (started from stage 1) compare cumulative splits against saveData.pbSplits;
+// runs started elsewhere compare each stage against its best time.
+
+function createRunTimer(startStage) {
+    return {
+        startStage,
+        elapsed: 0,       // Counted run time in milliseconds
+        stageStart: 0,    // elapsed when the current stage was entered
+        splits: [],       // [{ stage, time, segment, delta }], time is cumulative
+        lastDelta: null
+    };
+}
+
+function tickRunTimer(delta) {
+    if (player.checkpointReached) return;
+    runTimer.elapsed += delta * 1000;
+}
+
+function isFullRun() {
+    return runTimer.startStage === 1 && !editor.isPlaytesting;
+}
+
+function getSplitComparison(stageNumber) {
+    if (isFullRun()) {
+        const pb = saveData.pbSplits[stageNumber - 1];
+        return pb === undefined ? null : { time: pb, offset: 0 };
+    }
+
+    // Segment run: compare the stage on its own
+    const best = saveData.bestTimes[stageNumber];
+    return best === undefined ? null : { time: best, offset: runTimer.stageStart };
+}
+
+function recordSplit(stageNumber) {
+    const comparison = getSplitComparison(stageNumber);
+    const split = {
+        stage: stageNumber,
+        time: runTimer.elapsed,
+        segment: runTimer.elapsed - runTimer.stageStart,
+        delta: comparison ? runTimer.elapsed - comparison.offset - comparison.time : null
+    };
+
+    runTimer.splits.push(split);
+    runTimer.stageStart = runTimer.elapsed;
+    runTimer.lastDelta = split.delta;
+    return split;
+}
+
+function getLiveDelta() {
+    const comparison = getSplitComparison(currentStage);
+    if (!comparison) return null;
+    return runTimer.elapsed - comparison.offset - comparison.time;
+}
+
+function updateSplitDelta() {
+    const element = document.getElementById('split-delta');
+
+    // Show the live delta once we're behind, otherwise the last split's delta
+    const live = player.checkpointReached ? null : getLiveDelta();
+    const delta = live !== null && live > 0 ? live : runTimer.lastDelta;
+
+    if (delta === null) {
+        element.style.display = 'none';
+        return;
+    }
+
+    element.style.display = 'block';
+    element.textContent = formatDelta(delta);
+    element.classList.toggle('ahead', delta <= 0);
+    element.classList.toggle('behind', delta > 0);
+}
+
+function showSplitResults(previousPb) {
+    const table = document.getElementById('split-table');
+    table.innerHTML = '<tr><th>스테이지</th><th>기록</th><th>PB</th><th>차이</th></tr>';
+
+    runTimer.splits.forEach(split => {
+        const pb = previousPb[split.stage - 1];
+        const delta = pb === undefined ? null : split.time - pb;
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${split.stage}. <span class="split-name"></span></td>
+            <td>${formatSplitTime(split.time)}</td>
+            <td>${pb === undefined ? '-' : formatSplitTime(pb)}</td>
+            <td class="${delta === null ? '' : delta <= 0 ? 'ahead' : 'behind'}">${delta === null ? '-' : formatDelta(delta)}</td>
+        `;
+        row.querySelector('.split-name').textContent = getStageConfig(split.stage).name;
+        table.appendChild(row);
+    });
+}
+
+function formatSplitTime(milliseconds) {
+    const hundredths = Math.floor(milliseconds / 10) % 100;
+    return `${formatTime(milliseconds)}.${hundredths.toString().padStart(2, '0')}`;
+}
+
+function formatDelta(milliseconds) {
+    const sign = milliseconds <= 0 ? '-' : '+';
+    return `${sign}${(Math.abs(milliseconds) / 1000).toFixed(2)}`;
+}
+
+// ========================================
+// REPLAYS
+// ========================================
+//
+// Every attempt records the input state and camera look per physics tick.
+// Because physics runs on a fixed step, feeding the same inputs back into
+// updatePhysics reproduces the run exactly (spectator view). The ghost that
+// runs next to the live player follows the recorded position track instead,
+// since the live player owns the simulation state.
+//
+// Replay file:
+// {
+//     "format": "jumpmap-replay", "version": 3,
+//     "stage": 5, "stageName": "점프패드", "tickRate": 120, "ticks": 1234,
+//     "inputs": "...",   // RLE of [count, buttons, moveX, moveY, dYaw, dPitch], base36
+//     "track": "..."     // Delta-coded positions (cm) every REPLAY_TRACK_INTERVAL ticks, base36
+// }
+
+// Version 1 had no analog movement: entries were [count, buttons, dYaw, dPitch]
+// with buttons 0-3 for forward, back, left and right before jump and run.
+// Versions 1 and 2 were recorded before coyote time, jump buffering and
+// variable jump height. Their position tracks still work as ghosts, but
+// their inputs no longer reproduce the run, so they can't be spectated.
+
+const REPLAY_FORMAT_VERSION = 3;
+const REPLAY_MIN_PLAYBACK_VERSION = 3;
+const REPLAY_KEY_PREFIX = 'jumpmap.replay.';
+const REPLAY_BUTTONS = ['jump', 'isRunning', 'dash'];
+const REPLAY_MOVE_SCALE = 100;     // Move input is stored in 1/100 of full deflection
+const REPLAY_LOOK_SCALE = 10000;   // Look angles are stored in 1/10000 rad
+const REPLAY_TRACK_INTERVAL = 4;
+
+function startRecording(stageNumber) {
+    replayRecorder = {
+        stage: stageNumber,
+        buttons: [],
+        moveX: [],
+        moveY: [],
+        yaw: [],
+        pitch: [],
+        track: []
+    };
+}
+
+function applyTickInput() {
+    if (replayPlayback) {
+        const tick = replayPlayback.tick;
+        if (tick >= replayPlayback.ticks) {
+            finishSpectating();
+            return;
+        }
+
+        const buttons = replayPlayback.buttons[tick];
+        REPLAY_BUTTONS.forEach((name, bit) => {
+            player.controls[name] = (buttons & (1 << bit)) !== 0;
+        });
+        setMoveInput(replayPlayback.moveX[tick], replayPlayback.moveY[tick]);
+        setPlayerLook(replayPlayback.yaw[tick], replayPlayback.pitch[tick]);
+        replayPlayback.tick++;
+        return;
+    }
+
+    pollControls();
+
+    // Snap movement and the look angles to what a replay can store so playback matches exactly
+    const moveX = Math.round(player.controls.moveX * REPLAY_MOVE_SCALE);
+    const moveY = Math.round(player.controls.moveY * REPLAY_MOVE_SCALE);
+    setMoveInput(moveX, moveY);
+    const yaw = Math.round(player.yaw * REPLAY_LOOK_SCALE);
+    const pitch = Math.round(player.pitch * REPLAY_LOOK_SCALE);
+    setPlayerLook(yaw, pitch);
+
+    if (replayRecorder) {
+        let buttons = 0;
+        REPLAY_BUTTONS.forEach((name, bit) => {
+            if (player.controls[name]) buttons |= 1 << bit;
+        });
+        replayRecorder.buttons.push(buttons);
+        replayRecorder.moveX.push(moveX);
+        replayRecorder.moveY.push(moveY);
+        replayRecorder.yaw.push(yaw);
+        replayRecorder.pitch.push(pitch);
+    }
+
+    if (splitScreen) {
+        pollControls(splitScreen.player);
+    }
+}
+
+function setMoveInput(moveX, moveY) {
+    player.controls.moveX = moveX / REPLAY_MOVE_SCALE;
+    player.controls.moveY = moveY / REPLAY_MOVE_SCALE;
+}
+
+function setPlayerLook(yaw, pitch) {
+    player.yaw = yaw / REPLAY_LOOK_SCALE;
+    player.pitch = pitch / REPLAY_LOOK_SCALE;
+}
+
+function recordTick() {
+    if (!replayRecorder) return;
+
+    const tick = replayRecorder.buttons.length - 1;
+    if (tick % REPLAY_TRACK_INTERVAL === 0) {
+        replayRecorder.track.push(
+            Math.round(player.position.x * 100),
+            Math.round(player.position.y * 100),
+            Math.round(player.position.z * 100)
+        );
+    }
+}
+
+function finishRecording() {
+    if (!replayRecorder) return;
+
+    const recorder = replayRecorder;
+    replayRecorder = null;
+
+    const best = loadStageReplay(recorder.stage);
+    if (best && best.ticks <= recorder.buttons.length) return;
+
+    const replay = encodeReplay(recorder);
+    try {
+        localStorage.setItem(REPLAY_KEY_PREFIX + recorder.stage, JSON.stringify(replay));
+    } catch (error) {
+        console.warn('Could not store replay.');
+    }
+}
+
+function encodeReplay(recorder) {
+    const inputs = [];
+    let prevYaw = 0;
+    let prevPitch = 0;
+    for (let i = 0; i < recorder.buttons.length; i++) {
+        const dYaw = recorder.yaw[i] - prevYaw;
+        const dPitch = recorder.pitch[i] - prevPitch;
+        prevYaw = recorder.yaw[i];
+        prevPitch = recorder.pitch[i];
+
+        const entry = [recorder.buttons[i], recorder.moveX[i], recorder.moveY[i], dYaw, dPitch];
+        const last = inputs.length - 6;
+        if (last >= 0 && entry.every((value, n) => inputs[last + 1 + n] === value)) {
+            inputs[last]++;
+        } else {
+            inputs.push(1, ...entry);
+        }
+    }
+
+    return {
+        format: 'jumpmap-replay',
+        version: REPLAY_FORMAT_VERSION,
+        stage: recorder.stage,
+        stageName: getStageConfig(recorder.stage).name,
+        tickRate: Math.round(1 / PHYSICS_STEP),
+        ticks: recorder.buttons.length,
+        inputs: encodeNumbers(inputs),
+        track: encodeNumbers(deltaEncode(recorder.track))
+    };
+}
+
+function decodeReplay(replay) {
+    if (!isPlainObject(replay) || replay.format !== 'jumpmap-replay') {
+        throw new Error('Not a replay file');
+    }
+    if (![1, 2, REPLAY_FORMAT_VERSION].includes(replay.version)) {
+        throw new Error(`Unsupported replay version ${replay.version}`);
+    }
+    if (replay.tickRate !== Math.round(1 / PHYSICS_STEP)) {
+        throw new Error(`Replay tick rate ${replay.tickRate} does not match the game`);
+    }
+    if (!findStage(replay.stage)) {
+        throw new Error(`Unknown stage ${replay.stage}`);
+    }
+
+    const inputs = decodeNumbers(replay.inputs);
+    const stride = replay.version === 1 ? 4 : 6;
+    const buttons = [];
+    const moveX = [];
+    const moveY = [];
+    const yaw = [];
+    const pitch = [];
+    let currentYaw = 0;
+    let currentPitch = 0;
+    for (let i = 0; i + stride - 1 < inputs.length; i += stride) {
+        let entryButtons = inputs[i + 1];
+        let entryX = inputs[i + 2];
+        let entryY = inputs[i + 3];
+        if (replay.version === 1) {
+            // The four direction buttons become full-deflection movement
+            const bit = n => (entryButtons >> n) & 1;
+            entryX = (bit(3) - bit(2)) * REPLAY_MOVE_SCALE;
+            entryY = (bit(0) - bit(1)) * REPLAY_MOVE_SCALE;
+            entryButtons >>= 4;
+        }
+        const dYaw = inputs[i + stride - 2];
+        const dPitch = inputs[i + stride - 1];
+
+        currentYaw += dYaw;
+        currentPitch += dPitch;
+        for (let n = 0; n < inputs[i]; n++) {
+            buttons.push(entryButtons);
+            moveX.push(entryX);
+            moveY.push(entryY);
+            yaw.push(currentYaw);
+            pitch.push(currentPitch);
+            // Within a run the deltas repeat every tick
+            if (n + 1 < inputs[i]) {
+                currentYaw += dYaw;
+                currentPitch += dPitch;
+            }
+        }
+    }
+
+    const track = deltaDecode(decodeNumbers(replay.track));
+    if (buttons.length !== replay.ticks || track.length % 3 !== 0) {
+        throw new Error('Replay data is corrupted');
+    }
+
+    return { stage: replay.stage, version: replay.version, ticks: replay.ticks, buttons, moveX, moveY, yaw, pitch, track, tick: 0 };
+}
+
+function encodeNumbers(numbers) {
+    return numbers.map(n => n.toString(36)).join(',');
+}
+
+function decodeNumbers(text) {
+    if (typeof text !== 'string') {
+        throw new Error('Replay data is corrupted');
+    }
+    if (text === '') return [];
+    return text.split(',').map(part => {
+        const value = parseInt(part, 36);
+        if (!Number.isFinite(value)) {
+            throw new Error('Replay data is corrupted');
+        }
+        return value;
+    });
+}
+
+function deltaEncode(values) {
+    // Values are interleaved x, y, z
+    return values.map((value, i) => i < 3 ? value : value - values[i - 3]);
+}
+
+function deltaDecode(values) {
+    const result = [];
+    values.forEach((value, i) => result.push(i < 3 ? value : value + result[i - 3]));
+    return result;
+}
+
+function loadStageReplay(stageNumber) {
+    try {
+        const raw = localStorage.getItem(REPLAY_KEY_PREFIX + stageNumber);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// === GHOST ===
+
+function spawnGhost(stageNumber) {
+    removeGhost();
+    if (saveData.settings.showGhost === false) return;
+
+    const replay = loadStageReplay(stageNumber);
+    if (!replay) return;
+
+    let decoded;
+    try {
+        decoded = decodeReplay(replay);
+    } catch (error) {
+        console.warn(`Ignoring stored replay for stage ${stageNumber}: ${error.message}`);
+        return;
+    }
+
+    const geometry = new THREE.CylinderGeometry(0.4, 0.4, 1.8, 12);
+    const material = new THREE.MeshStandardMaterial({
+        color: 0x88ccff,
+        emissive: 0x88ccff,
+        emissiveIntensity: 0.4,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+    });
+
+    ghost = { mesh: new THREE.Mesh(geometry, material), track: decoded.track };
+    scene.add(ghost.mesh);
+    updateGhost();
+}
+
+function updateGhost() {
+    if (!ghost) return;
+
+    // Ghost time follows the live attempt's tick count
+    const tick = replayRecorder ? replayRecorder.buttons.length : 0;
+    const samples = ghost.track.length / 3;
+    const t = Math.min(tick / REPLAY_TRACK_INTERVAL, samples - 1);
+    const i = Math.floor(t);
+    const j = Math.min(i + 1, samples - 1);
+    const f = t - i;
+
+    const track = ghost.track;
+    ghost.mesh.position.set(
+        (track[i * 3] + (track[j * 3] - track[i * 3]) * f) / 100,
+        (track[i * 3 + 1] + (track[j * 3 + 1] - track[i * 3 + 1]) * f) / 100 - PLAYER_EYE_HEIGHT + 0.9,
+        (track[i * 3 + 2] + (track[j * 3 + 2] - track[i * 3 + 2]) * f) / 100
+    );
+}
+
+function removeGhost() {
+    if (ghost) {
+        scene.remove(ghost.mesh);
+        ghost = null;
+    }
+}
+
+function toggleGhost() {
+    saveData.settings.showGhost = saveData.settings.showGhost === false;
+    writeSave();
+
+    if (saveData.settings.showGhost) {
+        spawnGhost(currentStage);
+    } else {
+        removeGhost();
+    }
+    showMessage(saveData.settings.showGhost ? '고스트 켜짐' : '고스트 꺼짐');
+}
+
+// === SPECTATOR ===
+
+// `status` is shown on the stage select once playback ends
+function startSpectating(replay, status = '') {
+    let decoded;
+    try {
+        decoded = decodeReplay(replay);
+    } catch (error) {
+        setStageSelectStatus(`리플레이를 재생할 수 없습니다: ${error.message}`);
+        return;
+    }
+    if (decoded.version < REPLAY_MIN_PLAYBACK_VERSION) {
+        setStageSelectStatus('이전 버전의 조작으로 녹화된 리플레이라 재생할 수 없습니다 (고스트로는 표시됩니다)');
+        return;
+    }
+
+    document.getElementById('stage-select').style.display = 'none';
+    document.getElementById('menu').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+
+    replayPlayback = decoded;
+    replayPlayback.status = status;
+    currentState = GameState.PLAYING;
+    currentStage = decoded.stage;
+    runTimer = createRunTimer(decoded.stage);
+    loadStage(decoded.stage);
+}
+
+function finishSpectating() {
+    const status = replayPlayback.status;
+    replayPlayback = null;
+    returnToMenu();
+    showStageSelect();
+    setStageSelectStatus(status);
+}
+
+function exportStageReplay(stageNumber) {
+    const replay = loadStageReplay(stageNumber);
+    if (!replay) return;
+
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `replay-stage-${stageNumber}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function importReplay(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text().then(text => {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+            decodeReplay(replay);
+        } catch (error) {
+            setStageSelectStatus(`리플레이를 가져올 수 없습니다: ${error.message}`);
+            return;
+        }
+
+        // An imported route becomes that stage's ghost, unless the player's own run is faster
+        const best = loadStageReplay(replay.stage);
+        let status;
+        if (best && best.ticks <= replay.ticks) {
+            status = `내 기록이 더 빨라서 스테이지 ${replay.stage}의 리플레이는 그대로 두었습니다.`;
+        } else {
+            try {
+                localStorage.setItem(REPLAY_KEY_PREFIX + replay.stage, JSON.stringify(replay));
+                status = `가져온 리플레이를 스테이지 ${replay.stage}의 고스트로 저장했습니다.`;
+            } catch (error) {
+                status = '가져온 리플레이를 저장할 수 없습니다.';
+            }
+        }
+        setStageSelectStatus(status);
+        startSpectating(replay, status);
+    });
+}
+
+// ========================================
+// EVENT LISTENERS
+// ========================================
+
+function setupEventListeners() {
+    // Start button
+    document.getElementById('start-button').addEventListener('click', () => startGame(1));
+
+    // Continue / stage select
+    document.getElementById('continue-button').addEventListener('click', () => startGame(saveData.lastStage));
+    document.getElementById('stage-select-button').addEventListener('click', showStageSelect);
+    document.getElementById('hardcore-button').addEventListener('click', toggleHardcore);
+
+    // Daily challenge
+    document.getElementById('daily-button').addEventListener('click', startDaily);
+    document.getElementById('daily-share-button').addEventListener('click', shareDailyResult);
+
+    // Endless tower: ?seed=abc pre-fills the seed so runs can be shared as links
+    const seedInput = document.getElementById('endless-seed');
+    seedInput.value = new URLSearchParams(window.location.search).get('seed') || '';
+    document.getElementById('endless-button').addEventListener('click', () => {
+        startEndless(seedInput.value.trim() || createRandomSeed());
+    });
+    document.getElementById('stage-select-back').addEventListener('click', hideStageSelect);
+
+    // Split screen
+    document.getElementById('versus-button').addEventListener('click', () => {
+        startSplitScreen(Number(document.getElementById('versus-stage-input').value));
+    });
+    document.getElementById('versus-rematch-button').addEventListener('click', rematchSplitScreen);
+    document.getElementById('versus-menu-button').addEventListener('click', returnToMenu);
+
+    // Race mode
+    document.getElementById('race-button').addEventListener('click', showRaceScreen);
+    document.getElementById('race-join-button').addEventListener('click', joinRace);
+    document.getElementById('race-ready-button').addEventListener('click', toggleRaceReady);
+    document.getElementById('race-stage-input').addEventListener('change', onRaceStageChanged);
+    document.getElementById('race-back').addEventListener('click', hideRaceScreen);
+
+    // Replay import
+    document.getElementById('replay-import-button').addEventListener('click', () => {
+        document.getElementById('replay-import-file').click();
+    });
+    document.getElementById('replay-import-file').addEventListener('change', importReplay);
+
+    // Retry button
+    document.getElementById('retry-button').addEventListener('click', retryGame);
+
+    // Menu button
+    document.getElementById('menu-button').addEventListener('click', returnToMenu);
+
+    // Play again button
+    document.getElementById('play-again-button').addEventListener('click', playAgain);
+
+    // Pause menu buttons
+    document.getElementById('resume-button').addEventListener('click', resumeGame);
+    document.getElementById('restart-button').addEventListener('click', retryGame);
+    document.getElementById('pause-menu-button').addEventListener('click', returnToMenu);
+
+    // Keyboard and mouse buttons (gamepads are polled in updateInput)
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+    document.addEventListener('mousedown', onMouseButton);
+    document.addEventListener('mouseup', onMouseButton);
+    window.addEventListener('blur', () => heldInputs.clear());
+
+    // Window resize
+    window.addEventListener('resize', onWindowResize);
+
+    // Pointer lock change
+    document.addEventListener('pointerlockchange', onPointerLockChange);
+}
+
+function startGame(stageNumber) {
+    document.getElementById('menu').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+
+    currentState = GameState.PLAYING;
+    currentStage = stageNumber;
+    runTimer = createRunTimer(stageNumber);
+
+    loadStage(currentStage);
+
+    // Request pointer lock
+    renderer.domElement.requestPointerLock();
+
+    console.log('Game started!');
+}
+
+function retryGame() {
+    document.getElementById('game-over').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+
+    currentState = GameState.PLAYING;
+    if (endless) {
+        buildEndlessRun(endless.seed);
+    } else {
+        if (isDailyStage(currentStage)) {
+            recordDailyAttempt(currentStage);
+        }
+        loadStage(currentStage);
+    }
+
+    renderer.domElement.requestPointerLock();
+}
+
+function returnToMenu() {
+    leaveRace();
+    stopGame();
+    document.getElementById('menu').style.display = 'flex';
+    updateMenu();
+}
+
+// Hides the game and its screens and clears the stage, leaving no screen shown
+function stopGame() {
+    document.getElementById('game-over').style.display = 'none';
+    document.getElementById('victory').style.display = 'none';
+    document.getElementById('pause-menu').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'none';
+
+    currentState = GameState.MENU;
+    endless = null;
+    dailyStage = null;
+    closeEditor();
+    clearStage();
+    getLocalPlayers().forEach(body => resetControls(body));
+    endSplitScreen();
+    player.mesh.visible = false;
+
+    if (document.pointerLockElement) {
+        document.exitPointerLock();
+    }
+}
+
+function playAgain() {
+    document.getElementById('victory').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+
+    currentState = GameState.PLAYING;
+    currentStage = 1;
+    runTimer = createRunTimer(1);
+    loadStage(currentStage);
+
+    renderer.domElement.requestPointerLock();
+}
+
+function pauseGame() {
+    if (currentState === GameState.PLAYING) {
+        currentState = GameState.PAUSED;
+        document.getElementById('pause-menu').style.display = 'flex';
+        document.exitPointerLock();
+    }
+}
+
+function resumeGame() {
+    document.getElementById('pause-menu').style.display = 'none';
+    currentState = GameState.PLAYING;
+    renderer.domElement.requestPointerLock();
+}
+
+function gameOver(message) {
+    if (editor.isPlaytesting) {
+        stopPlaytest(message || '떨어졌습니다!');
+        return;
+    }
+    if (replayPlayback) {
+        finishSpectating();
+        return;
+    }
+
+    if (!endless) {
+        recordDeath(currentStage);
+    }
+
+    currentState = GameState.GAME_OVER;
+    document.getElementById('game-over').style.display = 'flex';
+    document.getElementById('game-over-stats').textContent = message || `스테이지 ${currentStage}에서 떨어졌습니다.`;
+    document.exitPointerLock();
+}
+
+function victory() {
+    currentState = GameState.VICTORY;
+    const previousPb = saveData.pbSplits.slice();
+    const isNewPb = isFullRun() && recordPersonalBest(runTimer.splits.map(split => split.time));
+
+    document.getElementById('victory-stats').textContent =
+        `클리어 시간: ${formatSplitTime(runTimer.elapsed)}${isNewPb ? ' (신기록!)' : ''} · ★ ${getTotalStars()} / ${getMaxStars()}`;
+    showSplitResults(isFullRun() ? previousPb : []);
+    document.getElementById('victory').style.display = 'flex';
+    document.exitPointerLock();
+}
+
+// ========================================
+// LEVEL EDITOR
+// ========================================
+
+const EDITOR_FLY_SPEED = 12;
+const EDITOR_GRID = 0.5;
+
+// Stage points edited like the spawn point: config key, label and scene objects
+const EDITOR_POINT_KINDS = {
+    respawn: { key: 'respawnPoints', label: '중간 깃발', getObjects: () => world.respawnFlags.map(flag => flag.mesh) },
+    collectible: { key: 'collectibles', label: '보석', getObjects: () => world.collectibles.map(gem => gem.mesh) }
+};
+
+function setupEditor() {
+    // Stage picker and platform palette are built from the loaded data
+    document.getElementById('editor-button').addEventListener('click', () => openEditor(1));
+    document.getElementById('editor-stage-select').addEventListener('change', (e) => {
+        openEditor(Number(e.target.value));
+    });
+
+    const palette = document.getElementById('editor-palette');
+    const typeSelect = document.getElementById('editor-type');
+    Object.keys(PLATFORM_TYPES).forEach(type => {
+        const definition = PLATFORM_TYPES[type];
+        const color = new THREE.Color(definition.material.color);
+
+        const button = document.createElement('button');
+        button.className = 'editor-button';
+        button.style.background = `rgba(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)}, 0.55)`;
+        button.dataset.type = type;
+        button.textContent = definition.label;
+        button.addEventListener('click', () => setEditorPlaceType(type));
+        palette.appendChild(button);
+
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = definition.label;
+        typeSelect.appendChild(option);
+    });
+
+    document.getElementById('editor-delete').addEventListener('click', deleteEditorSelection);
+    document.getElementById('editor-duplicate').addEventListener('click', duplicateEditorSelection);
+    document.getElementById('editor-add-flag').addEventListener('click', () => addEditorPoint('respawn'));
+    document.getElementById('editor-add-collectible').addEventListener('click', () => addEditorPoint('collectible'));
+    document.getElementById('editor-playtest').addEventListener('click', startPlaytest);
+    document.getElementById('editor-export').addEventListener('click', exportEditorStage);
+    document.getElementById('editor-import').addEventListener('click', () => {
+        document.getElementById('editor-import-file').click();
+    });
+    document.getElementById('editor-import-file').addEventListener('change', importEditorStage);
+    document.getElementById('editor-exit').addEventListener('click', returnToMenu);
+
+    // Inspector
+    document.getElementById('editor-stage-name').addEventListener('change', (e) => {
+        editor.stage.name = e.target.value;
+    });
+    document.getElementById('editor-stage-par').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (value > 0) {
+            editor.stage.parTime = value;
+        } else {
+            delete editor.stage.parTime;
+        }
+        updateInspector();
+    });
+    const abilityRow = document.getElementById('editor-abilities');
+    Object.keys(ABILITIES).forEach(key => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.ability = key;
+        input.addEventListener('change', () => {
+            if (input.checked) {
+                editor.stage.abilities[key] = true;
+            } else {
+                delete editor.stage.abilities[key];
+            }
+        });
+        label.append(input, ABILITIES[key]);
+        abilityRow.appendChild(label);
+    });
+    document.querySelectorAll('#editor-inspector [data-field]').forEach(input => {
+        input.addEventListener('change', onInspectorChange);
+    });
+
+    // Mouse (on the viewport so the listeners survive a renderer swap)
+    const viewport = document.getElementById('viewport');
+    viewport.addEventListener('mousedown', onEditorMouseDown);
+    viewport.addEventListener('contextmenu', (e) => {
+        if (currentState === GameState.EDITOR) e.preventDefault();
+    });
+    document.addEventListener('mousemove', onEditorMouseMove);
+    document.addEventListener('mouseup', onEditorMouseUp);
+}
+
+function openEditor(stageNumber) {
+    document.getElementById('menu').style.display = 'none';
+    document.getElementById('editor-ui').style.display = 'block';
+
+    currentState = GameState.EDITOR;
+    editor.stage = cloneStageConfig(getStageConfig(stageNumber));
+    editor.selection = null;
+    editor.placeType = null;
+
+    const stageSelect = document.getElementById('editor-stage-select');
+    stageSelect.innerHTML = '';
+    getAllStages().forEach(stage => {
+        const option = document.createElement('option');
+        option.value = stage.id;
+        option.textContent = `${stage.id}. ${stage.name}`;
+        stageSelect.appendChild(option);
+    });
+    stageSelect.value = stageNumber;
+
+    rebuildEditorScene();
+    player.mesh.visible = false;
+
+    // Look at the stage from behind and above the spawn point
+    const spawn = editor.stage.spawnPoint;
+    camera.position.set(spawn[0], spawn[1] + 8, spawn[2] + 14);
+    euler.set(-0.4, 0, 0);
+    camera.quaternion.setFromEuler(euler);
+
+    setEditorPlaceType(null);
+    setEditorStatus(`스테이지 ${stageNumber} 편집 중`);
+}
+
+function closeEditor() {
+    document.getElementById('editor-ui').style.display = 'none';
+    removeEditorMarkers();
+    editor.stage = null;
+    editor.selection = null;
+    editor.drag = null;
+}
+
+function updateEditor(delta) {
+    pollControls();
+    const speed = controls.isRunning ? EDITOR_FLY_SPEED * 3 : EDITOR_FLY_SPEED;
+
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    const right = new THREE.Vector3().crossVectors(forward, camera.up).normalize();
+
+    const move = new THREE.Vector3();
+    move.addScaledVector(forward, controls.moveY);
+    move.addScaledVector(right, controls.moveX);
+    move.y += Number(editor.flyUp) - Number(editor.flyDown);
+
+    if (move.lengthSq() > 0) {
+        camera.position.addScaledVector(move.normalize(), speed * delta);
+    }
+}
+
+function cloneStageConfig(config) {
+    return JSON.parse(JSON.stringify({
+        id: config.id,
+        name: config.name,
+        platforms: config.platforms,
+        checkpoint: config.checkpoint,
+        spawnPoint: config.spawnPoint,
+        respawnPoints: config.respawnPoints || [],
+        hazards: config.hazards || [],
+        collectibles: config.collectibles || [],
+        parTime: config.parTime,
+        starsRequired: config.starsRequired,
+        abilities: config.abilities || {}
+    }));
+}
+
+// === EDITOR SCENE ===
+
+function rebuildEditorScene() {
+    buildStage(editor.stage);
+    removeEditorMarkers();
+
+    // Spawn marker: a cone pointing down at the spawn point
+    editor.spawnMarker = new THREE.Mesh(
+        new THREE.ConeGeometry(0.5, 1, 12),
+        new THREE.MeshStandardMaterial({ color: 0x00ccff, emissive: 0x00ccff, emissiveIntensity: 0.4 })
+    );
+    editor.spawnMarker.rotation.x = Math.PI;
+    editor.spawnMarker.userData.editorHandle = { kind: 'spawn' };
+    scene.add(editor.spawnMarker);
+
+    checkpoint.userData.editorHandle = { kind: 'checkpoint' };
+    Object.keys(EDITOR_POINT_KINDS).forEach(kind => {
+        EDITOR_POINT_KINDS[kind].getObjects().forEach((object, index) => {
+            object.traverse(child => {
+                child.userData.editorHandle = { kind, index };
+            });
+        });
+    });
+    world.platforms.forEach((p, index) => {
+        p.mesh.userData.editorHandle = { kind: 'platform', index };
+    });
+
+    // Ghost box at the end of the selected moving platform's path
+    const selected = getSelectedPlatformConfig();
+    if (selected && getPlatformType(selected.type).usesMoveData) {
+        editor.endMarker = new THREE.Mesh(
+            new THREE.BoxGeometry(selected.size[0], selected.size[1], selected.size[2]),
+            new THREE.MeshBasicMaterial({ color: 0xaa00ff, wireframe: true })
+        );
+        editor.endMarker.userData.editorHandle = { kind: 'moveEnd', index: editor.selection.index };
+        scene.add(editor.endMarker);
+    }
+
+    // Highlight the selected platform
+    if (editor.selection && editor.selection.kind === 'platform') {
+        const material = world.platforms[editor.selection.index].mesh.material;
+        material.emissive.setHex(0xffffff);
+        material.emissiveIntensity = 0.4;
+    }
+
+    syncEditorMarkers();
+    updateInspector();
+}
+
+function syncEditorMarkers() {
+    const spawn = editor.stage.spawnPoint;
+    editor.spawnMarker.position.set(spawn[0], spawn[1], spawn[2]);
+
+    const selected = getSelectedPlatformConfig();
+    if (editor.endMarker && selected && selected.moveData) {
+        const move = selected.moveData;
+        editor.endMarker.position.set(move.endX, move.endY, move.endZ);
+    }
+}
+
+function removeEditorMarkers() {
+    if (editor.spawnMarker) {
+        scene.remove(editor.spawnMarker);
+        editor.spawnMarker = null;
+    }
+    if (editor.endMarker) {
+        scene.remove(editor.endMarker);
+        editor.endMarker = null;
+    }
+}
+
+function setEditorStatus(text) {
+    document.getElementById('editor-status').textContent = text;
+}
+
+function showEditorErrors(errors) {
+    const list = document.getElementById('editor-errors');
+    list.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+}
+
+// === SELECTION & EDITING ===
+
+function getSelectedPlatformConfig() {
+    if (!editor.selection || (editor.selection.kind !== 'platform' && editor.selection.kind !== 'moveEnd')) {
+        return null;
+    }
+    return editor.stage.platforms[editor.selection.index] || null;
+}
+
+function selectEditorHandle(handle) {
+    editor.selection = handle;
+    rebuildEditorScene();
+}
+
+function setEditorPlaceType(type) {
+    editor.placeType = editor.placeType === type ? null : type;
+    document.querySelectorAll('#editor-palette button').forEach(button => {
+        button.classList.toggle('active', button.dataset.type === editor.placeType);
+    });
+}
+
+function getEditorHandlePosition(handle) {
+    const point = EDITOR_POINT_KINDS[handle.kind];
+    if (point) {
+        return editor.stage[point.key][handle.index].slice();
+    }
+
+    switch (handle.kind) {
+        case 'spawn':
+            return editor.stage.spawnPoint.slice();
+        case 'checkpoint':
+            return editor.stage.checkpoint.slice();
+        case 'moveEnd': {
+            const move = editor.stage.platforms[handle.index].moveData;
+            return [move.endX, move.endY, move.endZ];
+        }
+        default:
+            return editor.stage.platforms[handle.index].position.slice();
+    }
+}
+
+function setEditorHandlePosition(handle, position) {
+    switch (handle.kind) {
+        case 'spawn':
+            editor.stage.spawnPoint = position;
+            break;
+        case 'checkpoint':
+            editor.stage.checkpoint = position;
+            checkpoint.position.set(position[0], position[1], position[2]);
+            break;
+        case 'respawn':
+        case 'collectible': {
+            const point = EDITOR_POINT_KINDS[handle.kind];
+            editor.stage[point.key][handle.index] = position;
+            point.getObjects()[handle.index].position.set(position[0], position[1], position[2]);
+            break;
+        }
+        case 'moveEnd': {
+            const move = editor.stage.platforms[handle.index].moveData;
+            move.endX = position[0];
+            move.endY = position[1];
+            move.endZ = position[2];
+            break;
+        }
+        default:
+            editor.stage.platforms[handle.index].position = position;
+            world.platforms[handle.index].mesh.position.set(position[0], position[1], position[2]);
+    }
+
+    syncEditorMarkers();
+    updateInspector();
+}
+
+function addEditorPlatform(type, position) {
+    const platform = { type, position, size: [3, 0.5, 3] };
+    if (PLATFORM_TYPES[type].usesMoveData) {
+        platform.moveData = { endX: position[0] + 5, endY: position[1], endZ: position[2], speed: 1.0 };
+    }
+
+    editor.stage.platforms.push(platform);
+    selectEditorHandle({ kind: 'platform', index: editor.stage.platforms.length - 1 });
+    setEditorStatus(`${PLATFORM_TYPES[type].label} 발판 추가`);
+}
+
+function addEditorPoint(kind) {
+    const point = EDITOR_POINT_KINDS[kind];
+    const list = editor.stage[point.key];
+
+    // Above the current selection, or the spawn point
+    const base = editor.selection ? getEditorHandlePosition(editor.selection) : editor.stage.spawnPoint;
+    list.push([snapToGrid(base[0]), snapToGrid(base[1] + 2), snapToGrid(base[2])]);
+
+    selectEditorHandle({ kind, index: list.length - 1 });
+    setEditorStatus(`${point.label} 추가`);
+}
+
+function deleteEditorSelection() {
+    const point = editor.selection && EDITOR_POINT_KINDS[editor.selection.kind];
+    if (point) {
+        editor.stage[point.key].splice(editor.selection.index, 1);
+        selectEditorHandle(null);
+        setEditorStatus(`${point.label} 삭제`);
+        return;
+    }
+
+    const selected = getSelectedPlatformConfig();
+    if (!selected) return;
+
+    if (editor.stage.platforms.length === 1) {
+        setEditorStatus('마지막 발판은 삭제할 수 없습니다');
+        return;
+    }
+
+    editor.stage.platforms.splice(editor.selection.index, 1);
+    selectEditorHandle(null);
+    setEditorStatus('발판 삭제');
+}
+
+function duplicateEditorSelection() {
+    const selected = getSelectedPlatformConfig();
+    if (!selected) return;
+
+    const copy = JSON.parse(JSON.stringify(selected));
+    copy.position[2] -= 5;
+    if (copy.moveData) {
+        copy.moveData.endZ -= 5;
+    }
+
+    editor.stage.platforms.push(copy);
+    selectEditorHandle({ kind: 'platform', index: editor.stage.platforms.length - 1 });
+    setEditorStatus('발판 복제');
+}
+
+function snapToGrid(value) {
+    return Math.round(value / EDITOR_GRID) * EDITOR_GRID;
+}
+
+// === INSPECTOR ===
+
+function updateInspector() {
+    document.getElementById('editor-stage-name').value = editor.stage.name;
+    document.getElementById('editor-stage-par').value = editor.stage.parTime !== undefined ? editor.stage.parTime : '';
+    document.querySelectorAll('#editor-abilities [data-ability]').forEach(input => {
+        input.checked = editor.stage.abilities[input.dataset.ability] === true;
+    });
+
+    const selection = editor.selection;
+    const selected = getSelectedPlatformConfig();
+    const panel = document.getElementById('editor-selection');
+    panel.style.display = selection ? 'block' : 'none';
+    if (!selection) return;
+
+    let label;
+    switch (selection.kind) {
+        case 'spawn':
+            label = '시작 지점';
+            break;
+        case 'checkpoint':
+            label = '체크포인트';
+            break;
+        case 'respawn':
+        case 'collectible':
+            label = `${EDITOR_POINT_KINDS[selection.kind].label} #${selection.index + 1}`;
+            break;
+        default:
+            label = `발판 #${selection.index + 1}`;
+    }
+    document.getElementById('editor-selection-label').textContent = label;
+
+    const position = getEditorHandlePosition(selection.kind === 'moveEnd' ? { kind: 'platform', index: selection.index } : selection);
+    setInspectorField('x', position[0]);
+    setInspectorField('y', position[1]);
+    setInspectorField('z', position[2]);
+
+    document.getElementById('editor-platform-fields').style.display = selected ? 'block' : 'none';
+    document.getElementById('editor-move-fields').style.display = selected && selected.moveData ? 'block' : 'none';
+    if (!selected) return;
+
+    document.getElementById('editor-type').value = selected.type;
+    setInspectorField('width', selected.size[0]);
+    setInspectorField('height', selected.size[1]);
+    setInspectorField('depth', selected.size[2]);
+
+    if (selected.moveData) {
+        setInspectorField('endX', selected.moveData.endX);
+        setInspectorField('endY', selected.moveData.endY);
+        setInspectorField('endZ', selected.moveData.endZ);
+        setInspectorField('speed', selected.moveData.speed === undefined ? 2.0 : selected.moveData.speed);
+    }
+}
+
+function setInspectorField(field, value) {
+    const input = document.querySelector(`#editor-inspector [data-field="${field}"]`);
+    if (document.activeElement !== input) {
+        input.value = value;
+    }
+}
+
+function onInspectorChange(event) {
+    const field = event.target.dataset.field;
+    const selection = editor.selection;
+    if (!selection) return;
+
+    if (field === 'type') {
+        const selected = getSelectedPlatformConfig();
+        selected.type = event.target.value;
+        const usesMoveData = PLATFORM_TYPES[selected.type].usesMoveData;
+        if (usesMoveData && !selected.moveData) {
+            selected.moveData = { endX: selected.position[0] + 5, endY: selected.position[1], endZ: selected.position[2], speed: 1.0 };
+        } else if (!usesMoveData) {
+            delete selected.moveData;
+        }
+        delete selected.options; // Options belong to the old type
+        rebuildEditorScene();
+        return;
+    }
+
+    const value = parseFloat(event.target.value);
+    if (!Number.isFinite(value)) {
+        updateInspector();
+        return;
+    }
+
+    const axis = ['x', 'y', 'z'].indexOf(field);
+    if (axis !== -1) {
+        const handle = selection.kind === 'moveEnd' ? { kind: 'platform', index: selection.index } : selection;
+        const position = getEditorHandlePosition(handle);
+        position[axis] = value;
+        setEditorHandlePosition(handle, position);
+        return;
+    }
+
+    const selected = getSelectedPlatformConfig();
+    const sizeAxis = ['width', 'height', 'depth'].indexOf(field);
+    if (sizeAxis !== -1) {
+        if (value > 0) {
+            selected.size[sizeAxis] = value;
+        }
+    } else if (selected.moveData && !(field === 'speed' && value <= 0)) {
+        selected.moveData[field] = value;
+    }
+    rebuildEditorScene();
+}
+
+// === IMPORT / EXPORT ===
+
+function exportEditorStage() {
+    const errors = validateStage(editor.stage);
+    showEditorErrors(errors);
+
+    const json = JSON.stringify(editor.stage, null, 4);
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `stage-${editor.stage.id}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+
+    setEditorStatus(errors.length > 0 ? `내보내기 완료 (오류 ${errors.length}개)` : '내보내기 완료');
+}
+
+function importEditorStage(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text().then(text => {
+        let stage;
+        try {
+            stage = JSON.parse(text);
+        } catch (error) {
+            showEditorErrors([`${file.name}: ${error.message}`]);
+            setEditorStatus('가져오기 실패');
+            return;
+        }
+
+        showEditorErrors(validateStage(stage));
+        if (validateStageFields(stage).length > 0) {
+            setEditorStatus('가져오기 실패');
+            return;
+        }
+
+        editor.stage = cloneStageConfig({ ...stage, id: Number.isInteger(stage.id) ? stage.id : editor.stage.id });
+        selectEditorHandle(null);
+        setEditorStatus(`${file.name} 가져오기 완료`);
+    });
+}
+
+// === PLAYTEST ===
+
+function startPlaytest() {
+    if (currentState !== GameState.EDITOR) return;
+
+    const errors = validateStage(editor.stage);
+    showEditorErrors(errors);
+
+    editor.isPlaytesting = true;
+    editor.savedCamera = {
+        position: camera.position.clone(),
+        quaternion: camera.quaternion.clone()
+    };
+    removeEditorMarkers();
+
+    document.getElementById('editor-ui').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+
+    currentState = GameState.PLAYING;
+    runTimer = createRunTimer(editor.stage.id);
+    buildStage(editor.stage);
+    player.yaw = 0;
+    player.pitch = 0;
+
+    renderer.domElement.requestPointerLock();
+}
+
+function stopPlaytest(message) {
+    editor.isPlaytesting = false;
+
+    document.getElementById('game-ui').style.display = 'none';
+    document.getElementById('editor-ui').style.display = 'block';
+
+    currentState = GameState.EDITOR;
+    getLocalPlayers().forEach(body => resetControls(body));
+    if (document.pointerLockElement) {
+        document.exitPointerLock();
+    }
+
+    rebuildEditorScene();
+    player.mesh.visible = false;
+    camera.position.copy(editor.savedCamera.position);
+    camera.quaternion.copy(editor.savedCamera.quaternion);
+
+    setEditorStatus(message || '테스트 종료');
+}
+
+// === EDITOR INPUT ===
+
+function onEditorKeyDown(event) {
+    if (editor.isPlaytesting) {
+        if (event.code === 'KeyP' || event.code === 'Escape') {
+            stopPlaytest();
+        }
+        return;
+    }
+
+    switch (event.code) {
+        case 'KeyP':
+            startPlaytest();
+            break;
+        case 'KeyE':
+            editor.flyUp = true;
+            break;
+        case 'KeyQ':
+            editor.flyDown = true;
+            break;
+        case 'Delete':
+        case 'Backspace':
+            deleteEditorSelection();
+            break;
+        case 'KeyC':
+            duplicateEditorSelection();
+            break;
+        case 'KeyF':
+            addEditorPoint('respawn');
+            break;
+        case 'KeyG':
+            addEditorPoint('collectible');
+            break;
+        case 'Escape':
+            setEditorPlaceType(null);
+            selectEditorHandle(null);
+            break;
+    }
+}
+
+function onEditorKeyUp(event) {
+    switch (event.code) {
+        case 'KeyE':
+            editor.flyUp = false;
+            break;
+        case 'KeyQ':
+            editor.flyDown = false;
+            break;
+    }
+}
+
+function getEditorRay(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    return raycaster;
+}
+
+function onEditorMouseDown(event) {
+    if (currentState !== GameState.EDITOR) return;
+
+    // Right button looks around
+    if (event.button === 2) {
+        editor.isLooking = true;
+        return;
+    }
+    if (event.button !== 0) return;
+
+    const raycaster = getEditorRay(event);
+    const handles = world.platforms.map(p => p.mesh).concat([checkpoint, editor.spawnMarker]);
+    Object.values(EDITOR_POINT_KINDS).forEach(point => {
+        point.getObjects().forEach(object => object.traverse(child => {
+            if (child.isMesh) handles.push(child);
+        }));
+    });
+    if (editor.endMarker) handles.push(editor.endMarker);
+
+    const hit = raycaster.intersectObjects(handles)[0];
+    if (hit) {
+        const handle = hit.object.userData.editorHandle;
+        selectEditorHandle(handle);
+
+        // Drag along the horizontal plane through the hit point (Shift: vertical)
+        const position = getEditorHandlePosition(handle);
+        editor.drag = {
+            handle,
+            plane: new THREE.Plane(new THREE.Vector3(0, 1, 0), -hit.point.y),
+            offset: new THREE.Vector3(position[0], position[1], position[2]).sub(hit.point),
+            startY: position[1],
+            startClientY: event.clientY
+        };
+        return;
+    }
+
+    if (editor.placeType) {
+        // Place on the horizontal plane of the current selection (or the ground)
+        const selected = editor.selection ? getEditorHandlePosition(editor.selection) : [0, 0, 0];
+        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -selected[1]);
+        const point = new THREE.Vector3();
+        if (raycaster.ray.intersectPlane(plane, point)) {
+            addEditorPlatform(editor.placeType, [snapToGrid(point.x), snapToGrid(selected[1]), snapToGrid(point.z)]);
+        }
+        return;
+    }
+
+    selectEditorHandle(null);
+}
+
+function onEditorMouseMove(event) {
+    if (currentState !== GameState.EDITOR) return;
+
+    if (editor.isLooking) {
+        euler.setFromQuaternion(camera.quaternion);
+        euler.y -= (event.movementX || 0) * 0.004;
+        euler.x -= (event.movementY || 0) * 0.004;
+        euler.x = Math.max(-PI_2, Math.min(PI_2, euler.x));
+        camera.quaternion.setFromEuler(euler);
+        return;
+    }
+
+    const drag = editor.drag;
+    if (!drag) return;
+
+    const position = getEditorHandlePosition(drag.handle);
+    if (event.shiftKey) {
+        position[1] = snapToGrid(drag.startY - (event.clientY - drag.startClientY) * 0.05);
+    } else {
+        const point = new THREE.Vector3();
+        if (!getEditorRay(event).ray.intersectPlane(drag.plane, point)) return;
+        point.add(drag.offset);
+        position[0] = snapToGrid(point.x);
+        position[2] = snapToGrid(point.z);
+    }
+    setEditorHandlePosition(drag.handle, position);
+}
+
+function onEditorMouseUp(event) {
+    if (event.button === 2) {
+        editor.isLooking = false;
+    }
+    editor.drag = null;
+}
+
+// ========================================
+// INPUT
+// ========================================
+//
+// Gameplay reads actions, not devices. Each action has three binding slots:
+// two for keyboard/mouse and one for a gamepad (standard mapping). Codes:
+//   "KeyW", "Space", ...   KeyboardEvent.code
+//   "Mouse0"               mouse button
+//   "Pad0"                 gamepad button index
+//   "Axis1-" / "Axis1+"    gamepad axis and direction
+// Every binding reads as 0..1, so sticks and triggers scale movement and look.
+
+const INPUT_ACTIONS = {
+    moveForward: { label: '앞으로', bindings: ['KeyW', 'ArrowUp', 'Axis1-'] },
+    moveBackward: { label: '뒤로', bindings: ['KeyS', 'ArrowDown', 'Axis1+'] },
+    moveLeft: { label: '왼쪽', bindings: ['KeyA', 'ArrowLeft', 'Axis0-'] },
+    moveRight: { label: '오른쪽', bindings: ['KeyD', 'ArrowRight', 'Axis0+'] },
+    jump: { label: '점프', bindings: ['Space', null, 'Pad0'] },
+    run: { label: '달리기', bindings: ['ShiftLeft', 'ShiftRight', 'Pad7'] },
+    dash: { label: '공중 대시', bindings: ['KeyE', null, 'Pad1'] },
+    lookUp: { label: '시점 위', bindings: [null, null, 'Axis3-'] },
+    lookDown: { label: '시점 아래', bindings: [null, null, 'Axis3+'] },
+    lookLeft: { label: '시점 왼쪽', bindings: [null, null, 'Axis2-'] },
+    lookRight: { label: '시점 오른쪽', bindings: [null, null, 'Axis2+'] },
+    toggleCamera: { label: '1인칭/3인칭', bindings: ['KeyV', null, 'Pad3'] },
+    toggleGhost: { label: '고스트', bindings: ['KeyG', null, 'Pad2'] },
+    pause: { label: '일시정지', bindings: ['Escape', null, 'Pad9'] }
+};
+
+const GAMEPAD_SLOT = 2;
+const PRESS_THRESHOLD = 0.5;     // Analog value that counts as pressed
+const MOUSE_LOOK_SPEED = 0.002;  // Radians per pixel of mouse movement
+const STICK_LOOK_SPEED = 3;      // Radians per second at full deflection
+
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS',
+    '십자 ↑', '십자 ↓', '십자 ←', '십자 →', 'Home'
+];
+
+const KEY_NAMES = {
+    Space: 'Space',
+    Escape: 'Esc',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: '왼쪽 Shift',
+    ShiftRight: '오른쪽 Shift',
+    ControlLeft: '왼쪽 Ctrl',
+    ControlRight: '오른쪽 Ctrl',
+    AltLeft: '왼쪽 Alt',
+    AltRight: '오른쪽 Alt'
+};
+
+function getDefaultBindings() {
+    const defaults = {};
+    Object.keys(INPUT_ACTIONS).forEach(action => {
+        defaults[action] = INPUT_ACTIONS[action].bindings.slice();
+    });
+    return defaults;
+}
+
+// Saved bindings over the defaults, skipping anything malformed
+function loadBindings() {
+    const loaded = getDefaultBindings();
+    const saved = saveData.settings.bindings;
+    if (!isPlainObject(saved)) return loaded;
+
+    Object.keys(loaded).forEach(action => {
+        const slots = saved[action];
+        if (Array.isArray(slots) && slots.length === 3 &&
+            slots.every(code => code === null || typeof code === 'string')) {
+            loaded[action] = slots.slice();
+        }
+    });
+    return loaded;
+}
+
+function saveBindings() {
+    saveData.settings.bindings = bindings;
+    writeSave();
+}
+
+const NO_GAMEPAD = { index: null, id: null, buttons: [], axes: [] };
+const NO_TOUCH_INPUT = { moveX: 0, moveY: 0, jump: false, run: false, dash: false };
+
+// The devices one local player reads. Player one has the keyboard, mouse and
+// touch, and the first connected pad unless split screen hands pads out.
+function createInputSource(hasKeyboard) {
+    return {
+        hasKeyboard,
+        pad: NO_GAMEPAD,
+        padActions: {}   // action -> whether its gamepad binding was down last frame
+    };
+}
+
+function pollGamepads() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    gamepads = pads
+        .filter(pad => pad && pad.connected)
+        .map(pad => ({ index: pad.index, id: pad.id, buttons: pad.buttons.map(button => button.value), axes: Array.from(pad.axes) }));
+
+    if (splitScreen) {
+        assignSplitScreenPads();
+    } else {
+        player.input.pad = gamepads[0] || NO_GAMEPAD;
+    }
+}
+
+// Deadzone over both axes of a stick, rescaled so the output starts from 0
+// at its edge instead of jumping to the deadzone size
+function applyRadialDeadzone(x, y, deadzone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadzone) return [0, 0];
+
+    const scale = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+    return [x * scale, y * scale];
+}
+
+// Axes 0/1 are the left stick, 2/3 the right one
+function readStickAxis(pad, axis) {
+    const first = axis - axis % 2;
+    const stick = applyRadialDeadzone(pad.axes[first] || 0, pad.axes[first + 1] || 0, getSetting('deadzone'));
+    return stick[axis - first];
+}
+
+// Mouse, touch and stick look all go through here so sensitivity and inversion apply to each
+function applyLook(yaw, pitch, device, target = player) {
+    const sensitivity = getSetting(`${device}Sensitivity`);
+    const invert = saveData.settings.invertLook === true ? -1 : 1;
+    target.look(yaw * sensitivity, pitch * sensitivity * invert);
+}
+
+function getBindingValue(code, input = player.input) {
+    if (!code) return 0;
+
+    if (code.startsWith('Axis')) {
+        const value = readStickAxis(input.pad, Number(code.slice(4, -1)));
+        return Math.max(0, code.endsWith('-') ? -value : value);
+    }
+    if (code.startsWith('Pad')) {
+        return input.pad.buttons[Number(code.slice(3))] || 0;
+    }
+    return input.hasKeyboard && heldInputs.has(code) ? 1 : 0;
+}
+
+function getActionValue(action, input = player.input) {
+    return Math.max(...bindings[action].map(code => getBindingValue(code, input)));
+}
+
+function isActionDown(action, input = player.input) {
+    return getActionValue(action, input) >= PRESS_THRESHOLD;
+}
+
+// Fills a player's controls from their devices for the coming physics tick
+function pollControls(target = player) {
+    const input = target.input;
+    const touch = input.hasKeyboard ? touchInput : NO_TOUCH_INPUT;
+    const clampAxis = value => Math.max(-1, Math.min(1, value));
+
+    target.controls.moveX = clampAxis(getActionValue('moveRight', input) - getActionValue('moveLeft', input) + touch.moveX);
+    target.controls.moveY = clampAxis(getActionValue('moveForward', input) - getActionValue('moveBackward', input) + touch.moveY);
+    target.controls.jump = isActionDown('jump', input) || touch.jump;
+    target.controls.isRunning = isActionDown('run', input) || touch.run;
+    target.controls.dash = isActionDown('dash', input) || touch.dash;
+}
+
+function resetControls(target = player) {
+    const controls = target.controls;
+    controls.moveX = 0;
+    controls.moveY = 0;
+    controls.jump = false;
+    controls.isRunning = false;
+    controls.dash = false;
+}
+
+// Once per frame: gamepad presses and stick look
+function updateInput(delta) {
+    pollGamepads();
+
+    if (rebinding) {
+        if (rebinding.slot === GAMEPAD_SLOT) {
+            captureGamepadBinding();
+        }
+        return;
+    }
+
+    // Keyboard and mouse presses arrive as events; pad buttons are edge-detected here
+    getLocalPlayers().forEach(target => {
+        const input = target.input;
+        Object.keys(bindings).forEach(action => {
+            const down = getBindingValue(bindings[action][GAMEPAD_SLOT], input) >= PRESS_THRESHOLD;
+            if (down && !input.padActions[action]) {
+                onActionPressed(action);
+            }
+            input.padActions[action] = down;
+        });
+    });
+
+    if (currentState !== GameState.PLAYING || replayPlayback) return;
+
+    getLocalPlayers().forEach(target => {
+        const input = target.input;
+        const lookX = getActionValue('lookRight', input) - getActionValue('lookLeft', input);
+        const lookY = getActionValue('lookDown', input) - getActionValue('lookUp', input);
+        if (lookX !== 0 || lookY !== 0) {
+            applyLook(-lookX * STICK_LOOK_SPEED * delta, -lookY * STICK_LOOK_SPEED * delta, 'gamepad', target);
+        }
+    });
+}
+
+// One-shot actions; held actions (move, jump, run) are read by pollControls
+function onActionPressed(action) {
+    if (replayPlayback) {
+        if (action === 'pause') {
+            finishSpectating();
+        }
+        return;
+    }
+
+    switch (action) {
+        case 'pause':
+            if (document.getElementById('controls-screen').style.display === 'flex') {
+                hideControlsScreen();
+            } else if (document.getElementById('settings-screen').style.display === 'flex') {
+                hideSettingsScreen();
+            } else if (currentState === GameState.PAUSED) {
+                resumeGame();
+            } else {
+                pauseGame();
+            }
+            break;
+        case 'toggleCamera':
+            if (currentState === GameState.PLAYING) {
+                toggleCameraMode();
+            }
+            break;
+        case 'toggleGhost':
+            // Ghosts are off while other players share the stage
+            if (currentState === GameState.PLAYING && !editor.isPlaytesting && !race && !splitScreen) {
+                toggleGhost();
+            }
+            break;
+    }
+}
+
+function getActionsForCode(code) {
+    return Object.keys(bindings).filter(action => bindings[action].includes(code));
+}
+
+function onKeyDown(event) {
+    if (rebinding) {
+        event.preventDefault();
+        captureKeyBinding(event.code);
+        return;
+    }
+
+    // Typing into editor fields
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') return;
+
+    if (currentState === GameState.EDITOR || editor.isPlaytesting) {
+        onEditorKeyDown(event);
+    }
+
+    heldInputs.add(event.code);
+    if (!event.repeat) {
+        getActionsForCode(event.code).forEach(onActionPressed);
+    }
+}
+
+function onKeyUp(event) {
+    if (currentState === GameState.EDITOR) {
+        onEditorKeyUp(event);
+    }
+
+    heldInputs.delete(event.code);
+}
+
+function onMouseButton(event) {
+    const code = `Mouse${event.button}`;
+    if (event.type === 'mouseup') {
+        heldInputs.delete(code);
+        return;
+    }
+
+    // Clicking anywhere but the waiting slot cancels a rebind
+    if (rebinding && !event.target.closest('.binding-slot')) {
+        stopRebinding();
+        return;
+    }
+
+    if (!rebinding && isPointerLocked) {
+        heldInputs.add(code);
+        getActionsForCode(code).forEach(onActionPressed);
+    }
+}
+
+// ========================================
+// CONTROLS SCREEN
+// ========================================
+
+function setupControlsScreen() {
+    document.getElementById('controls-button').addEventListener('click', () => showControlsScreen('menu'));
+    document.getElementById('pause-controls-button').addEventListener('click', () => showControlsScreen('pause-menu'));
+    document.getElementById('controls-back').addEventListener('click', hideControlsScreen);
+    document.getElementById('controls-reset').addEventListener('click', () => {
+        bindings = getDefaultBindings();
+        ['deadzone', 'invertLook', 'floatingJoystick'].forEach(key => {
+            delete saveData.settings[key];
+        });
+        saveBindings();
+        renderControlsScreen();
+    });
+
+    const deadzoneInput = document.getElementById('deadzone-input');
+    deadzoneInput.addEventListener('input', () => {
+        saveData.settings.deadzone = Number(deadzoneInput.value);
+        writeSave();
+        renderControlsScreen();
+    });
+
+    document.getElementById('invert-look-input').addEventListener('change', (e) => {
+        saveData.settings.invertLook = e.target.checked;
+        writeSave();
+    });
+    document.getElementById('floating-joystick-input').addEventListener('change', (e) => {
+        saveData.settings.floatingJoystick = e.target.checked;
+        writeSave();
+    });
+    setupMobileLayoutEditor();
+
+    // Right-clicking a slot binds the right mouse button instead of opening a menu
+    document.getElementById('binding-table').addEventListener('contextmenu', (e) => e.preventDefault());
+
+    window.addEventListener('gamepadconnected', renderControlsScreen);
+    window.addEventListener('gamepaddisconnected', renderControlsScreen);
+}
+
+function showControlsScreen(returnTo) {
+    document.getElementById(returnTo).style.display = 'none';
+    document.getElementById('controls-screen').style.display = 'flex';
+    document.getElementById('controls-screen').dataset.returnTo = returnTo;
+    renderControlsScreen();
+}
+
+function hideControlsScreen() {
+    stopRebinding();
+    const screen = document.getElementById('controls-screen');
+    screen.style.display = 'none';
+    document.getElementById(screen.dataset.returnTo).style.display = 'flex';
+}
+
+function renderControlsScreen() {
+    const table = document.getElementById('binding-table');
+    table.innerHTML = '<tr><th>동작</th><th>키 1</th><th>키 2</th><th>게임패드</th></tr>';
+
+    Object.keys(INPUT_ACTIONS).forEach(action => {
+        const row = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = INPUT_ACTIONS[action].label;
+        row.appendChild(label);
+
+        bindings[action].forEach((code, slot) => {
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            const waiting = rebinding && rebinding.action === action && rebinding.slot === slot;
+            button.className = waiting ? 'binding-slot waiting' : 'binding-slot';
+            button.textContent = waiting ? '입력 대기...' : formatBinding(code);
+            button.addEventListener('mousedown', (e) => onBindingSlotMouseDown(e, action, slot));
+            cell.appendChild(button);
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    });
+
+    const deadzone = getSetting('deadzone');
+    document.getElementById('deadzone-input').value = deadzone;
+    document.getElementById('deadzone-value').textContent = `${Math.round(deadzone * 100)}%`;
+
+    document.getElementById('invert-look-input').checked = saveData.settings.invertLook === true;
+    document.getElementById('floating-joystick-input').checked = saveData.settings.floatingJoystick !== false;
+    document.getElementById('gamepad-status').textContent = player.input.pad.id
+        ? `게임패드 연결됨: ${player.input.pad.id}`
+        : '게임패드 없음 (연결 후 아무 버튼이나 누르세요)';
+}
+
+function onBindingSlotMouseDown(event, action, slot) {
+    event.preventDefault();
+    const waiting = rebinding && rebinding.action === action && rebinding.slot === slot;
+
+    // A second click on a waiting keyboard slot binds that mouse button
+    if (waiting && slot !== GAMEPAD_SLOT) {
+        setBinding(action, slot, `Mouse${event.button}`);
+        return;
+    }
+    startRebinding(action, slot);
+}
+
+function startRebinding(action, slot) {
+    pollGamepads();
+    rebinding = { action, slot, baseline: getActiveGamepadCodes() };
+    setControlsStatus(slot === GAMEPAD_SLOT
+        ? '게임패드 버튼이나 스틱을 움직이세요 · Esc 취소 · Delete 지우기'
+        : '새 키를 누르거나 이 칸을 다시 클릭하세요 · Esc 취소 · Delete 지우기');
+    renderControlsScreen();
+}
+
+function stopRebinding() {
+    if (!rebinding) return;
+    rebinding = null;
+    setControlsStatus('');
+    renderControlsScreen();
+}
+
+function captureKeyBinding(code) {
+    if (code === 'Escape') {
+        stopRebinding();
+    } else if (code === 'Delete' || code === 'Backspace') {
+        setBinding(rebinding.action, rebinding.slot, null);
+    } else if (rebinding.slot !== GAMEPAD_SLOT) {
+        setBinding(rebinding.action, rebinding.slot, code);
+    }
+}
+
+// Binds the first pad input that wasn't already held when the rebind started
+function captureGamepadBinding() {
+    const active = getActiveGamepadCodes();
+    rebinding.baseline = rebinding.baseline.filter(code => active.includes(code));
+
+    const code = active.find(c => !rebinding.baseline.includes(c));
+    if (code) {
+        setBinding(rebinding.action, rebinding.slot, code);
+    }
+}
+
+function getActiveGamepadCodes() {
+    const codes = [];
+    player.input.pad.buttons.forEach((value, index) => {
+        if (value >= PRESS_THRESHOLD) codes.push(`Pad${index}`);
+    });
+    player.input.pad.axes.forEach((value, index) => {
+        if (Math.abs(value) >= PRESS_THRESHOLD) codes.push(`Axis${index}${value < 0 ? '-' : '+'}`);
+    });
+    return codes;
 }
 
-function retryGame() {
-    document.getElementById('game-over').style.display = 'none';
-    document.getElementById('game-ui').style.display = 'block';
-
-    currentState = GameState.PLAYING;
-    loadStage(currentStage);
+// An input drives one action at a time, so it's taken off whatever had it
+function setBinding(action, slot, code) {
+    if (code) {
+        Object.keys(bindings).forEach(other => {
+            bindings[other] = bindings[other].map(existing => existing === code ? null : existing);
+        });
+    }
+    bindings[action][slot] = code;
+    saveBindings();
 
-    renderer.domElement.requestPointerLock();
+    // Whatever was just pressed shouldn't also fire as a game action
+    Object.keys(bindings).forEach(other => {
+        player.input.padActions[other] = true;
+    });
+    stopRebinding();
 }
 
-function returnToMenu() {
-    document.getElementById('game-over').style.display = 'none';
-    document.getElementById('victory').style.display = 'none';
-    document.getElementById('pause-menu').style.display = 'none';
-    document.getElementById('game-ui').style.display = 'none';
-    document.getElementById('menu').style.display = 'flex';
+function setControlsStatus(text) {
+    document.getElementById('controls-status').textContent = text;
+}
 
-    currentState = GameState.MENU;
-    clearStage();
+function formatBinding(code) {
+    if (!code) return '-';
 
-    if (document.pointerLockElement) {
-        document.exitPointerLock();
+    if (code.startsWith('Mouse')) {
+        const button = Number(code.slice(5));
+        return ['마우스 왼쪽', '마우스 가운데', '마우스 오른쪽'][button] || `마우스 ${button}`;
+    }
+    if (code.startsWith('Pad')) {
+        const button = Number(code.slice(3));
+        return GAMEPAD_BUTTON_NAMES[button] || `버튼 ${button}`;
     }
+    if (code.startsWith('Axis')) {
+        const axis = Number(code.slice(4, -1));
+        const negative = code.endsWith('-');
+        const stick = axis < 2 ? '왼쪽 스틱' : axis < 4 ? '오른쪽 스틱' : `축 ${axis}`;
+        const arrow = axis % 2 === 0 ? (negative ? '←' : '→') : (negative ? '↑' : '↓');
+        return `${stick} ${arrow}`;
+    }
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return KEY_NAMES[code] || code;
 }
 
-function playAgain() {
-    document.getElementById('victory').style.display = 'none';
-    document.getElementById('game-ui').style.display = 'block';
+// ========================================
+// SETTINGS
+// ========================================
+//
+// Graphics, look sensitivity and volume live in saveData.settings next to the
+// control bindings. Inputs on the settings screen carry a data-setting key and
+// are applied as they change, so nothing needs a reload.
+
+const DEFAULT_SETTINGS = {
+    quality: 'medium',
+    antialias: true,
+    fov: 75,
+    mouseSensitivity: 1,
+    touchSensitivity: 1,
+    gamepadSensitivity: 1,
+    deadzone: 0.2,
+    masterVolume: 1,
+    musicVolume: 0.6,
+    effectsVolume: 1
+};
 
-    currentState = GameState.PLAYING;
-    currentStage = 1;
-    gameStartTime = Date.now();
-    loadStage(currentStage);
+// Pixel ratio is capped at the display's own
+const QUALITY_PRESETS = {
+    low: { shadows: false, shadowMapSize: 1024, pixelRatio: 0.75, fogFar: 120 },
+    medium: { shadows: true, shadowMapSize: 2048, pixelRatio: 1, fogFar: 200 },
+    high: { shadows: true, shadowMapSize: 2048, pixelRatio: 2, fogFar: 300 }
+};
 
-    renderer.domElement.requestPointerLock();
+const SETTING_FORMATS = {
+    fov: value => `${value}°`,
+    mouseSensitivity: value => `${value.toFixed(1)}x`,
+    touchSensitivity: value => `${value.toFixed(1)}x`,
+    gamepadSensitivity: value => `${value.toFixed(1)}x`,
+    masterVolume: value => `${Math.round(value * 100)}%`,
+    musicVolume: value => `${Math.round(value * 100)}%`,
+    effectsVolume: value => `${Math.round(value * 100)}%`
+};
+
+// Saved value if it has the right type, otherwise the default
+function getSetting(key) {
+    const value = saveData.settings[key];
+    return typeof value === typeof DEFAULT_SETTINGS[key] && value === value ? value : DEFAULT_SETTINGS[key];
 }
 
-function pauseGame() {
-    if (currentState === GameState.PLAYING) {
-        currentState = GameState.PAUSED;
-        document.getElementById('pause-menu').style.display = 'flex';
-        document.exitPointerLock();
+function getQualityPreset() {
+    return QUALITY_PRESETS[getSetting('quality')] || QUALITY_PRESETS[DEFAULT_SETTINGS.quality];
+}
+
+// Antialiasing is fixed when a WebGL context is created, so changing it swaps in a new renderer
+function createRenderer() {
+    const antialias = getSetting('antialias');
+    const next = new THREE.WebGLRenderer({ antialias });
+    next.setSize(window.innerWidth, window.innerHeight);
+    next.shadowMap.type = THREE.PCFSoftShadowMap;
+
+    const viewport = document.getElementById('viewport');
+    if (renderer) {
+        viewport.replaceChild(next.domElement, renderer.domElement);
+        renderer.dispose();
+    } else {
+        viewport.appendChild(next.domElement);
     }
+
+    renderer = next;
+    rendererAntialias = antialias;
 }
 
-function resumeGame() {
-    document.getElementById('pause-menu').style.display = 'none';
-    currentState = GameState.PLAYING;
-    renderer.domElement.requestPointerLock();
+function applyGraphicsSettings() {
+    if (getSetting('antialias') !== rendererAntialias) {
+        createRenderer();
+    }
+
+    const preset = getQualityPreset();
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, preset.pixelRatio));
+
+    if (renderer.shadowMap.enabled !== preset.shadows) {
+        renderer.shadowMap.enabled = preset.shadows;
+        // Materials are compiled with or without shadow support
+        scene.traverse(object => {
+            if (object.material) {
+                [].concat(object.material).forEach(material => { material.needsUpdate = true; });
+            }
+        });
+    }
+    sunLight.castShadow = preset.shadows;
+    if (sunLight.shadow.mapSize.width !== preset.shadowMapSize) {
+        sunLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+        if (sunLight.shadow.map) {
+            sunLight.shadow.map.dispose();
+            sunLight.shadow.map = null;
+        }
+    }
+
+    scene.fog.far = preset.fogFar;
+    camera.fov = getSetting('fov');
+    camera.updateProjectionMatrix();
 }
 
-function gameOver(message) {
-    currentState = GameState.GAME_OVER;
-    document.getElementById('game-over').style.display = 'flex';
-    document.getElementById('game-over-stats').textContent = message || `스테이지 ${currentStage}에서 떨어졌습니다.`;
-    document.exitPointerLock();
+function setupSettingsScreen() {
+    document.getElementById('settings-button').addEventListener('click', () => showSettingsScreen('menu'));
+    document.getElementById('pause-settings-button').addEventListener('click', () => showSettingsScreen('pause-menu'));
+    document.getElementById('settings-back').addEventListener('click', hideSettingsScreen);
+    document.getElementById('settings-reset').addEventListener('click', () => {
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            if (key !== 'deadzone') delete saveData.settings[key];
+        });
+        onSettingsChanged();
+    });
+
+    document.querySelectorAll('#settings-screen [data-setting]').forEach(input => {
+        input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+            const key = input.dataset.setting;
+            if (input.type === 'checkbox') {
+                saveData.settings[key] = input.checked;
+            } else if (input.type === 'range') {
+                saveData.settings[key] = Number(input.value);
+            } else {
+                saveData.settings[key] = input.value;
+            }
+            onSettingsChanged();
+        });
+    });
 }
 
-function victory() {
-    currentState = GameState.VICTORY;
-    const totalTime = Math.floor((Date.now() - gameStartTime) / 1000);
-    const minutes = Math.floor(totalTime / 60);
-    const seconds = totalTime % 60;
-    document.getElementById('victory-stats').textContent = `클리어 시간: ${minutes}:${seconds.toString().padStart(2, '0')}`;
-    document.getElementById('victory').style.display = 'flex';
-    document.exitPointerLock();
+function onSettingsChanged() {
+    writeSave();
+    applyGraphicsSettings();
+    applyAudioSettings();
+    renderSettingsScreen();
 }
 
-// ========================================
-// KEYBOARD CONTROLS
-// ========================================
+function showSettingsScreen(returnTo) {
+    document.getElementById(returnTo).style.display = 'none';
+    document.getElementById('settings-screen').style.display = 'flex';
+    document.getElementById('settings-screen').dataset.returnTo = returnTo;
+    renderSettingsScreen();
+}
 
-function onKeyDown(event) {
-    switch (event.code) {
-        case 'KeyW':
-        case 'ArrowUp':
-            controls.moveForward = true;
-            break;
-        case 'KeyS':
-        case 'ArrowDown':
-            controls.moveBackward = true;
-            break;
-        case 'KeyA':
-        case 'ArrowLeft':
-            controls.moveLeft = true;
-            break;
-        case 'KeyD':
-        case 'ArrowRight':
-            controls.moveRight = true;
-            break;
-        case 'Space':
-            controls.jump = true;
-            break;
-        case 'ShiftLeft':
-        case 'ShiftRight':
-            controls.isRunning = true;
-            break;
-        case 'Escape':
-            pauseGame();
-            break;
-    }
+function hideSettingsScreen() {
+    const screen = document.getElementById('settings-screen');
+    screen.style.display = 'none';
+    document.getElementById(screen.dataset.returnTo).style.display = 'flex';
 }
 
-function onKeyUp(event) {
-    switch (event.code) {
-        case 'KeyW':
-        case 'ArrowUp':
-            controls.moveForward = false;
-            break;
-        case 'KeyS':
-        case 'ArrowDown':
-            controls.moveBackward = false;
-            break;
-        case 'KeyA':
-        case 'ArrowLeft':
-            controls.moveLeft = false;
-            break;
-        case 'KeyD':
-        case 'ArrowRight':
-            controls.moveRight = false;
-            break;
-        case 'Space':
-            controls.jump = false;
-            break;
-        case 'ShiftLeft':
-        case 'ShiftRight':
-            controls.isRunning = false;
-            break;
-    }
+function renderSettingsScreen() {
+    document.querySelectorAll('#settings-screen [data-setting]').forEach(input => {
+        const value = getSetting(input.dataset.setting);
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+    });
+    document.querySelectorAll('#settings-screen [data-setting-value]').forEach(label => {
+        const key = label.dataset.settingValue;
+        label.textContent = SETTING_FORMATS[key](getSetting(key));
+    });
 }
 
 // ========================================
@@ -817,7 +4001,7 @@ function onKeyUp(event) {
 // ========================================
 
 function setupCameraControls() {
-    renderer.domElement.addEventListener('click', () => {
+    document.getElementById('viewport').addEventListener('click', () => {
         if (currentState === GameState.PLAYING && !isMobile) {
             renderer.domElement.requestPointerLock();
         }
@@ -827,19 +4011,55 @@ function setupCameraControls() {
 }
 
 function onMouseMove(event) {
-    if (!isPointerLocked || currentState !== GameState.PLAYING) return;
+    if (!isPointerLocked || currentState !== GameState.PLAYING || replayPlayback) return;
 
     const movementX = event.movementX || 0;
     const movementY = event.movementY || 0;
 
-    euler.setFromQuaternion(camera.quaternion);
+    applyLook(-movementX * MOUSE_LOOK_SPEED, -movementY * MOUSE_LOOK_SPEED, 'mouse');
+}
+
+function updateCamera(eyePosition, viewer = player) {
+    viewer.updateMesh(eyePosition);
+    viewer.mesh.visible = cameraMode === 'third';
 
-    euler.y -= movementX * 0.002;
-    euler.x -= movementY * 0.002;
+    if (cameraMode === 'first') {
+        camera.position.copy(eyePosition);
+        euler.set(viewer.pitch, viewer.yaw, 0);
+        camera.quaternion.setFromEuler(euler);
+        return;
+    }
 
-    euler.x = Math.max(-PI_2, Math.min(PI_2, euler.x));
+    // Third person: orbit behind the player using the same yaw/pitch
+    const orbitPitch = Math.max(-ORBIT_PITCH_LIMIT, Math.min(ORBIT_PITCH_LIMIT, viewer.pitch));
+    const target = eyePosition.clone().add(new THREE.Vector3(0, PLAYER_HEAD_HEIGHT, 0));
+    const back = new THREE.Vector3(
+        Math.sin(viewer.yaw) * Math.cos(orbitPitch),
+        -Math.sin(orbitPitch),
+        Math.cos(viewer.yaw) * Math.cos(orbitPitch)
+    );
 
-    camera.quaternion.setFromEuler(euler);
+    // Pull the camera in front of any platform between it and the player
+    const ray = new THREE.Ray(target, back);
+    const box = new THREE.Box3();
+    const hit = new THREE.Vector3();
+    let distance = ORBIT_DISTANCE;
+    world.platforms.forEach(p => {
+        if (p.solid && ray.intersectBox(p.getBox(box).expandByScalar(camera.near), hit)) {
+            distance = Math.min(distance, hit.distanceTo(target));
+        }
+    });
+    distance = Math.max(ORBIT_MIN_DISTANCE, distance - 0.2);
+
+    camera.position.copy(target).addScaledVector(back, distance);
+    camera.lookAt(target);
+}
+
+function toggleCameraMode() {
+    cameraMode = cameraMode === 'first' ? 'third' : 'first';
+    saveData.settings.cameraMode = cameraMode;
+    writeSave();
+    showMessage(cameraMode === 'third' ? '3인칭 시점' : '1인칭 시점');
 }
 
 function onPointerLockChange() {
@@ -849,6 +4069,23 @@ function onPointerLockChange() {
 // ========================================
 // MOBILE CONTROLS
 // ========================================
+//
+// The joystick feeds an analog move vector into touchInput, which pollControls
+// adds to the other devices. With the floating joystick (default) a touch
+// anywhere on the left half of the screen puts the joystick under the thumb.
+// The jump, run, dash and camera buttons can be dragged around in the layout
+// editor; their centres are saved as fractions of the screen size.
+
+const JOYSTICK_RADIUS = 45;       // Stick travel in pixels
+const JOYSTICK_DEADZONE = 0.1;
+const TOUCH_LOOK_SPEED = 0.003;   // Radians per pixel swiped
+
+const MOBILE_BUTTONS = {
+    jump: 'mobile-jump-btn',
+    run: 'mobile-run-btn',
+    dash: 'mobile-dash-btn',
+    camera: 'mobile-camera-btn'
+};
 
 function detectMobile() {
     isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)
@@ -861,123 +4098,123 @@ function detectMobile() {
 
 function setupMobileControls() {
     const joystickContainer = document.getElementById('joystick-container');
-    const joystickStick = document.getElementById('joystick-stick');
     const jumpBtn = document.getElementById('mobile-jump-btn');
     const runBtn = document.getElementById('mobile-run-btn');
+    const dashBtn = document.getElementById('mobile-dash-btn');
+    const cameraBtn = document.getElementById('mobile-camera-btn');
 
-    // Joystick touch events
-    let joystickActive = false;
-    let joystickTouchId = null;
+    applyMobileLayout();
 
+    // Fixed joystick: touches that start on it
     joystickContainer.addEventListener('touchstart', (e) => {
         if (joystickTouchId === null) {
             e.preventDefault();
-            const touch = e.changedTouches[0];
-            joystickTouchId = touch.identifier;
-            joystickActive = true;
-            updateJoystick(touch);
+            startJoystick(e.changedTouches[0], false);
         }
     });
 
     document.addEventListener('touchmove', (e) => {
-        if (!joystickActive) return;
         for (let touch of e.changedTouches) {
             if (touch.identifier === joystickTouchId) {
                 updateJoystick(touch);
-                break;
+            } else if (touch.identifier === cameraTouchId) {
+                applyLook(-(touch.clientX - lastTouchX) * TOUCH_LOOK_SPEED, -(touch.clientY - lastTouchY) * TOUCH_LOOK_SPEED, 'touch');
+                lastTouchX = touch.clientX;
+                lastTouchY = touch.clientY;
             }
         }
     });
 
-    document.addEventListener('touchend', (e) => {
+    const onTouchEnd = (e) => {
         for (let touch of e.changedTouches) {
             if (touch.identifier === joystickTouchId) {
-                joystickActive = false;
-                joystickTouchId = null;
-                joystickDirection.set(0, 0);
-                joystickStick.style.transform = 'translate(-50%, -50%)';
-                controls.moveForward = false;
-                controls.moveBackward = false;
-                controls.moveLeft = false;
-                controls.moveRight = false;
-                break;
+                stopJoystick();
+            } else if (touch.identifier === cameraTouchId) {
+                cameraTouchId = null;
             }
         }
-    });
+    };
+    document.addEventListener('touchend', onTouchEnd);
+    document.addEventListener('touchcancel', onTouchEnd);
 
     // Jump button
     jumpBtn.addEventListener('touchstart', (e) => {
         e.preventDefault();
-        controls.jump = true;
+        if (!isEditingMobileLayout()) touchInput.jump = true;
     });
 
     jumpBtn.addEventListener('touchend', (e) => {
         e.preventDefault();
-        controls.jump = false;
+        touchInput.jump = false;
     });
 
     // Run button
     runBtn.addEventListener('touchstart', (e) => {
         e.preventDefault();
-        controls.isRunning = true;
+        if (!isEditingMobileLayout()) touchInput.run = true;
     });
 
     runBtn.addEventListener('touchend', (e) => {
         e.preventDefault();
-        controls.isRunning = false;
+        touchInput.run = false;
+    });
+
+    // Dash button
+    dashBtn.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        if (!isEditingMobileLayout()) touchInput.dash = true;
     });
 
-    // Touch camera rotation
-    let cameraTouchId = null;
-    let lastTouchX = 0;
-    let lastTouchY = 0;
+    dashBtn.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        touchInput.dash = false;
+    });
 
-    renderer.domElement.addEventListener('touchstart', (e) => {
-        if (cameraTouchId === null && e.touches.length > 0) {
-            const touch = e.touches[0];
-            // Check if touch is not on joystick or buttons
-            const rect = joystickContainer.getBoundingClientRect();
-            const jumpRect = jumpBtn.getBoundingClientRect();
-            const runRect = runBtn.getBoundingClientRect();
+    // Camera mode button
+    cameraBtn.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        if (!isEditingMobileLayout()) toggleCameraMode();
+    });
 
-            if (!isPointInRect(touch.clientX, touch.clientY, rect) &&
-                !isPointInRect(touch.clientX, touch.clientY, jumpRect) &&
-                !isPointInRect(touch.clientX, touch.clientY, runRect)) {
+    // Touches on the open screen: the left half moves (floating joystick), the rest looks around
+    document.getElementById('viewport').addEventListener('touchstart', (e) => {
+        for (let touch of e.changedTouches) {
+            const floating = saveData.settings.floatingJoystick !== false;
+            if (floating && joystickTouchId === null && touch.clientX < window.innerWidth / 2) {
+                startJoystick(touch, true);
+            } else if (cameraTouchId === null) {
                 cameraTouchId = touch.identifier;
                 lastTouchX = touch.clientX;
                 lastTouchY = touch.clientY;
             }
         }
     });
+}
 
-    renderer.domElement.addEventListener('touchmove', (e) => {
-        if (cameraTouchId === null) return;
-        for (let touch of e.touches) {
-            if (touch.identifier === cameraTouchId) {
-                const deltaX = touch.clientX - lastTouchX;
-                const deltaY = touch.clientY - lastTouchY;
-
-                euler.setFromQuaternion(camera.quaternion);
-                euler.y -= deltaX * 0.003;
-                euler.x -= deltaY * 0.003;
-                euler.x = Math.max(-PI_2, Math.min(PI_2, euler.x));
-                camera.quaternion.setFromEuler(euler);
+function startJoystick(touch, floating) {
+    joystickTouchId = touch.identifier;
 
-                lastTouchX = touch.clientX;
-                lastTouchY = touch.clientY;
-                break;
-            }
-        }
-    });
+    // Centre the joystick under the thumb; it goes back to its corner on release
+    if (floating) {
+        const container = document.getElementById('joystick-container');
+        container.style.left = `${touch.clientX - container.offsetWidth / 2}px`;
+        container.style.top = `${touch.clientY - container.offsetHeight / 2}px`;
+        container.style.bottom = 'auto';
+    }
+    updateJoystick(touch);
+}
 
-    renderer.domElement.addEventListener('touchend', (e) => {
-        for (let touch of e.changedTouches) {
-            if (touch.identifier === cameraTouchId) {
-                cameraTouchId = null;
-                break;
-            }
-        }
-    });
+function stopJoystick() {
+    const container = document.getElementById('joystick-container');
+    container.style.left = '';
+    container.style.top = '';
+    container.style.bottom = '';
+    document.getElementById('joystick-stick').style.transform = 'translate(-50%, -50%)';
+
+    joystickTouchId = null;
+    joystickDirection.set(0, 0);
+    touchInput.moveX = 0;
+    touchInput.moveY = 0;
 }
 
 function updateJoystick(touch) {
@@ -990,174 +4227,484 @@ function updateJoystick(touch) {
     let deltaX = touch.clientX - centerX;
     let deltaY = touch.clientY - centerY;
 
-    const maxDistance = 45;
     const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
 
-    if (distance > maxDistance) {
-        deltaX = (deltaX / distance) * maxDistance;
-        deltaY = (deltaY / distance) * maxDistance;
+    if (distance > JOYSTICK_RADIUS) {
+        deltaX = (deltaX / distance) * JOYSTICK_RADIUS;
+        deltaY = (deltaY / distance) * JOYSTICK_RADIUS;
     }
 
     joystickStick.style.transform = `translate(calc(-50% + ${deltaX}px), calc(-50% + ${deltaY}px))`;
 
-    joystickDirection.x = deltaX / maxDistance;
-    joystickDirection.y = deltaY / maxDistance;
+    joystickDirection.x = deltaX / JOYSTICK_RADIUS;
+    joystickDirection.y = deltaY / JOYSTICK_RADIUS;
+
+    // Screen y points down, forward is up
+    const [moveX, moveY] = applyRadialDeadzone(joystickDirection.x, -joystickDirection.y, JOYSTICK_DEADZONE);
+    touchInput.moveX = moveX;
+    touchInput.moveY = moveY;
+}
+
+// === BUTTON LAYOUT ===
+
+function applyMobileLayout() {
+    const layout = saveData.settings.mobileLayout || {};
+    Object.keys(MOBILE_BUTTONS).forEach(name => {
+        const button = document.getElementById(MOBILE_BUTTONS[name]);
+        const position = layout[name];
+        if (position) {
+            button.style.left = `${position.x * 100}%`;
+            button.style.top = `${position.y * 100}%`;
+            button.style.right = 'auto';
+            button.style.bottom = 'auto';
+            button.style.transform = 'translate(-50%, -50%)';
+        } else {
+            ['left', 'top', 'right', 'bottom', 'transform'].forEach(property => {
+                button.style[property] = '';
+            });
+        }
+    });
+}
+
+function isEditingMobileLayout() {
+    return document.body.classList.contains('layout-editing');
+}
+
+function setupMobileLayoutEditor() {
+    document.getElementById('layout-edit-button').addEventListener('click', startMobileLayoutEditor);
+    document.getElementById('layout-done').addEventListener('click', stopMobileLayoutEditor);
+    document.getElementById('layout-reset').addEventListener('click', () => {
+        delete saveData.settings.mobileLayout;
+        writeSave();
+        applyMobileLayout();
+    });
+
+    // Pointer events cover both the finger on a phone and a mouse on desktop
+    Object.keys(MOBILE_BUTTONS).forEach(name => {
+        const button = document.getElementById(MOBILE_BUTTONS[name]);
+        button.addEventListener('pointerdown', (e) => {
+            if (!isEditingMobileLayout()) return;
+            e.preventDefault();
+            button.setPointerCapture(e.pointerId);
+            button.dataset.dragging = 'true';
+        });
+        button.addEventListener('pointermove', (e) => {
+            if (button.dataset.dragging !== 'true') return;
+            moveMobileButton(name, e.clientX / window.innerWidth, e.clientY / window.innerHeight);
+        });
+        button.addEventListener('pointerup', () => {
+            if (button.dataset.dragging !== 'true') return;
+            delete button.dataset.dragging;
+            writeSave();
+        });
+    });
+}
+
+function moveMobileButton(name, x, y) {
+    const clamp = value => Math.max(0.05, Math.min(0.95, value));
+    saveData.settings.mobileLayout = {
+        ...saveData.settings.mobileLayout,
+        [name]: { x: clamp(x), y: clamp(y) }
+    };
+    applyMobileLayout();
+}
 
-    const threshold = 0.2;
-    controls.moveForward = joystickDirection.y < -threshold;
-    controls.moveBackward = joystickDirection.y > threshold;
-    controls.moveLeft = joystickDirection.x < -threshold;
-    controls.moveRight = joystickDirection.x > threshold;
+function startMobileLayoutEditor() {
+    document.getElementById('controls-screen').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'block';
+    document.getElementById('mobile-controls').style.display = 'block';
+    document.getElementById('layout-editor').style.display = 'flex';
+    document.body.classList.add('layout-editing');
+    applyMobileLayout();
 }
 
-function isPointInRect(x, y, rect) {
-    return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+function stopMobileLayoutEditor() {
+    document.body.classList.remove('layout-editing');
+    document.getElementById('layout-editor').style.display = 'none';
+    document.getElementById('mobile-controls').style.display = isMobile ? 'block' : 'none';
+
+    // Back to the controls screen over whatever was showing before
+    if (currentState !== GameState.PAUSED) {
+        document.getElementById('game-ui').style.display = 'none';
+    }
+    document.getElementById('controls-screen').style.display = 'flex';
 }
 
 // ========================================
-// PHYSICS SYSTEM
+// PLAYER EVENTS
 // ========================================
+//
+// The simulation reports what happened to the player in each step as events
+// (see emit in simulation.js); sounds, messages and the stage flow react here.
+//
+// Outside hardcore mode a death fades out while the simulation puts the
+// player back at the last flag they touched (or the stage spawn) without
+// rebuilding the stage. Replays always respawn, so runs recorded with deaths
+// play back in full.
+
+// Jump event kind -> sound
+const JUMP_SOUNDS = {
+    ground: 'jump',
+    bounce: 'bounce',
+    wall: 'jump',
+    double: 'doubleJump'
+};
 
-function updatePhysics(delta) {
-    // Apply gravity
-    if (!isOnGround) {
-        velocity.y -= GRAVITY * delta;
-        velocity.y = Math.max(velocity.y, -TERMINAL_VELOCITY);
+const PLAYER_EVENT_HANDLERS = {
+    jump({ kind }) {
+        playSound(JUMP_SOUNDS[kind]);
+    },
+    launch() {
+        playSound('launch');
+    },
+    dash() {
+        playSound('dash');
+    },
+    land({ impact }) {
+        playSound('land', { impact });
+    },
+    collect({ collectible }, body) {
+        collectible.mesh.visible = false;
+        showMessage(`${getPlayerLabel(body)}보석 ${countCollected(world)} / ${world.collectibles.length}`);
+    },
+    flag({ flag, previous }, body) {
+        // Stays lit while the other split-screen player still has it
+        if (previous && !getLocalPlayers().some(p => p.activeRespawnFlag === previous)) {
+            setRespawnFlagActive(previous, false);
+        }
+        setRespawnFlagActive(flag, true);
+        showMessage(`${getPlayerLabel(body)}중간 지점!`);
+    },
+    checkpoint() {
+        onCheckpointReached();
+    },
+    death({ message }, body) {
+        onPlayerDeath(message, body);
+    },
+    respawn(event, body) {
+        getFadeOverlay(body).classList.remove('active');
     }
+};
 
-    // Ground detection
-    checkGroundCollision();
+function handlePlayerEvents() {
+    getLocalPlayers().forEach(body => {
+        body.events.forEach(event => PLAYER_EVENT_HANDLERS[event.type](event, body));
+    });
+}
 
-    // Jump
-    if (controls.jump && isOnGround && canJump) {
-        // Check platform type for jump boost
-        if (currentPlatform && currentPlatform.type === 'slime') {
-            velocity.y = JUMP_FORCE * 1.5; // Slime boost
-        } else {
-            velocity.y = JUMP_FORCE;
-        }
-        isOnGround = false;
-        canJump = false;
+// Each split-screen player fades out on their own half
+function getFadeOverlay(body) {
+    return document.getElementById(body === player ? 'fade-overlay' : 'player2-fade');
+}
+
+function onCheckpointReached() {
+    playSound('clear');
+    if (editor.isPlaytesting) {
+        stopPlaytest('테스트 클리어!');
+        return;
+    }
+    if (replayPlayback) {
+        finishSpectating();
+        return;
+    }
+    if (race) {
+        finishRace();
+        return;
+    }
+    if (splitScreen) {
+        finishSplitScreen();
+        return;
     }
 
-    // Reset jump when button released
-    if (!controls.jump) {
-        canJump = true;
+    finishRecording();
+    const split = recordSplit(currentStage);
+
+    if (isDailyStage(currentStage)) {
+        const isRecord = recordDailyClear(currentStage, split.segment);
+        showMessage(`일일 도전 클리어! ${formatSplitTime(split.segment)}${isRecord ? ' (신기록!)' : ''}`);
+        setTimeout(returnToMenu, 2000);
+        return;
     }
 
-    // Jump pad auto-launch
-    if (currentPlatform && currentPlatform.type === 'jump' && isOnGround) {
-        velocity.y = JUMP_FORCE * 2.5;
-        isOnGround = false;
+    const stars = rateStage(getStageConfig(currentStage), split.segment, player.deaths, countCollected(world));
+    recordStageClear(currentStage, split.segment, stars);
+
+    if (isBonusStage(currentStage)) {
+        showMessage(`보너스 스테이지 클리어! ${formatSplitTime(split.segment)} ${formatStars(stars)}`);
+        setTimeout(() => {
+            returnToMenu();
+            showStageSelect();
+        }, 2000);
+        return;
     }
 
-    // Apply velocity
-    const speed = controls.isRunning ? runSpeed : playerSpeed;
-    const velocityDamping = currentPlatform && currentPlatform.type === 'ice' ? 3.0 : 10.0;
+    currentStage++;
+    if (currentStage > totalStages) {
+        victory();
+    } else {
+        const delta = split.delta === null ? '' : ` (${formatDelta(split.delta)})`;
+        showMessage(`스테이지 ${currentStage - 1} 클리어! ${formatSplitTime(split.segment)}${delta} ${formatStars(stars)}`);
+        setTimeout(() => {
+            loadStage(currentStage);
+            updateHUD();
+        }, 1000);
+    }
+}
 
-    velocity.x -= velocity.x * velocityDamping * delta;
-    velocity.z -= velocity.z * velocityDamping * delta;
+function isHardcore() {
+    return saveData.settings.hardcore === true && !replayPlayback && !race && !splitScreen;
+}
 
-    direction.z = Number(controls.moveForward) - Number(controls.moveBackward);
-    direction.x = Number(controls.moveRight) - Number(controls.moveLeft);
-    direction.normalize();
+function onPlayerDeath(message, body) {
+    playSound('fall');
 
-    if (controls.moveForward || controls.moveBackward) {
-        velocity.z -= direction.z * speed * delta * 100;
+    // Endless runs end on the first fall, the height reached is the score
+    if (endless) {
+        endEndlessRun(message);
+        return;
     }
-    if (controls.moveLeft || controls.moveRight) {
-        velocity.x -= direction.x * speed * delta * 100;
+
+    if (isHardcore() || editor.isPlaytesting) {
+        gameOver(message);
+        return;
     }
 
-    // Apply movement
-    const cameraDirection = new THREE.Vector3();
-    camera.getWorldDirection(cameraDirection);
-    cameraDirection.y = 0;
-    cameraDirection.normalize();
+    if (race) {
+        sendRace({ type: 'progress', deaths: player.deaths });
+    } else if (!replayPlayback && !splitScreen) {
+        recordDeath(currentStage);
+    }
 
-    const right = new THREE.Vector3();
-    right.crossVectors(camera.up, cameraDirection).normalize();
+    getFadeOverlay(body).classList.add('active');
+    showMessage(`${getPlayerLabel(body)}${message || '떨어졌습니다!'}`);
+}
 
-    const moveVector = new THREE.Vector3();
-    moveVector.addScaledVector(cameraDirection, -velocity.z * delta);
-    moveVector.addScaledVector(right, velocity.x * delta);
-    moveVector.y = velocity.y * delta;
+// ========================================
+// AUDIO
+// ========================================
+//
+// Everything is synthesized with WebAudio, so there are no files to load and
+// it works offline. Effects and music each have a gain bus under a master
+// gain; the master fades to silence while paused. Browsers only allow audio
+// after a user gesture, so the context is created on the first key, click
+// or touch. Until then (and where WebAudio is missing) every call is a no-op.
+
+const MUSIC_ROOT = 110;                     // A2
+const MUSIC_SCALE = [0, 3, 5, 7, 10, 12];   // Minor pentatonic plus octave
+const MUSIC_PROGRESSION = [0, 8, 3, 10];    // Bar roots in semitones: i - VI - III - VII
+const MUSIC_ARPEGGIO = [0, 2, 4, 2, 1, 3, 5, 3];
+const MUSIC_LOOKAHEAD = 0.15;               // Seconds of notes scheduled ahead
+
+// Effect name -> function(time, params) that schedules the sound at `time`
+const SOUNDS = {
+    jump(time) {
+        playTone({ type: 'square', from: 280, to: 560, duration: 0.12, volume: 0.12, time });
+    },
+    doubleJump(time) {
+        playTone({ type: 'square', from: 420, to: 840, duration: 0.12, volume: 0.1, time });
+        playTone({ type: 'sine', from: 840, to: 1260, duration: 0.1, volume: 0.06, time: time + 0.04 });
+    },
+    dash(time) {
+        playNoise({ filter: 'bandpass', from: 2500, to: 600, duration: 0.2, volume: 0.25, time });
+    },
+    bounce(time) {
+        playTone({ type: 'sine', from: 180, to: 760, duration: 0.28, volume: 0.3, time });
+        playTone({ type: 'sine', from: 360, to: 1100, duration: 0.2, volume: 0.1, time: time + 0.05 });
+    },
+    launch(time) {
+        playTone({ type: 'sawtooth', from: 140, to: 1200, duration: 0.4, volume: 0.12, time });
+        playNoise({ filter: 'bandpass', from: 400, to: 4000, duration: 0.45, volume: 0.2, time });
+    },
+    land(time, { impact = 0 } = {}) {
+        const volume = Math.min(0.5, 0.08 + impact * 0.02);
+        playNoise({ filter: 'lowpass', from: 600, to: 150, duration: 0.1, volume, time });
+    },
+    clear(time) {
+        [0, 4, 7, 12].forEach((semitones, i) => {
+            const frequency = 523.25 * Math.pow(2, semitones / 12);
+            playTone({ type: 'triangle', from: frequency, to: frequency, duration: 0.3, volume: 0.2, time: time + i * 0.1 });
+        });
+    },
+    fall(time) {
+        playTone({ type: 'sine', from: 600, to: 90, duration: 0.7, volume: 0.25, time });
+    }
+};
 
-    camera.position.add(moveVector);
+function setupAudio() {
+    const unlock = () => {
+        initAudio();
+        ['keydown', 'pointerdown', 'touchstart'].forEach(type => document.removeEventListener(type, unlock));
+    };
+    ['keydown', 'pointerdown', 'touchstart'].forEach(type => document.addEventListener(type, unlock));
+}
 
-    // Fall detection
-    if (camera.position.y < -20) {
-        gameOver();
+function initAudio() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (audio || !AudioContext) return;
+
+    const context = new AudioContext();
+    const master = context.createGain();
+    master.connect(context.destination);
+    const music = context.createGain();
+    music.connect(master);
+    const effects = context.createGain();
+    effects.connect(master);
+
+    // One second of white noise shared by every noisy sound
+    const noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
     }
 
-    // Platform effects
-    if (currentPlatform) {
-        currentPlatform.handleEffect(camera, delta);
+    audio = { context, master, music, effects, noise, loops: {}, nextNoteTime: 0, step: 0 };
+
+    // Continuous sounds whose level follows the game every frame
+    audio.loops.skid = createNoiseLoop('bandpass', 2500);
+    audio.loops.sizzle = createNoiseLoop('highpass', 3000);
+    applyAudioSettings();
+}
+
+function createNoiseLoop(filterType, frequency) {
+    const source = audio.context.createBufferSource();
+    source.buffer = audio.noise;
+    source.loop = true;
+
+    const filter = audio.context.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.value = frequency;
+
+    const gain = audio.context.createGain();
+    gain.gain.value = 0;
+
+    source.connect(filter).connect(gain).connect(audio.effects);
+    source.start();
+    return gain;
+}
+
+function applyAudioSettings() {
+    if (!audio) return;
+    audio.music.gain.value = getSetting('musicVolume');
+    audio.effects.gain.value = getSetting('effectsVolume');
+}
+
+function playSound(name, params) {
+    if (!audio) return;
+    SOUNDS[name](audio.context.currentTime, params);
+}
+
+function playTone({ type, from, to, duration, volume, time, destination = audio.effects }) {
+    const oscillator = audio.context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(from, time);
+    oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+
+    const gain = audio.context.createGain();
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    oscillator.connect(gain).connect(destination);
+    oscillator.start(time);
+    oscillator.stop(time + duration);
+}
+
+function playNoise({ filter: filterType, from, to, duration, volume, time, destination = audio.effects }) {
+    const source = audio.context.createBufferSource();
+    source.buffer = audio.noise;
+
+    const filter = audio.context.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.setValueAtTime(from, time);
+    filter.frequency.exponentialRampToValueAtTime(to, time + duration);
+
+    const gain = audio.context.createGain();
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    source.connect(filter).connect(gain).connect(destination);
+    source.start(time);
+    source.stop(time + duration);
+}
+
+// Once per frame: pause muting, looping effects and music scheduling
+function updateAudio() {
+    if (!audio) return;
+
+    const now = audio.context.currentTime;
+    const playing = currentState === GameState.PLAYING;
+    const master = currentState === GameState.PAUSED ? 0 : getSetting('masterVolume');
+    audio.master.gain.setTargetAtTime(master, now, 0.05);
+
+    // Skid while sliding across a slippery surface
+    const slippery = player.isOnGround && getPlatformPhysics(player.currentPlatform).damping < DEFAULT_PLATFORM_PHYSICS.damping;
+    const slide = Math.hypot(player.velocity.x, player.velocity.z);
+    audio.loops.skid.gain.setTargetAtTime(playing && slippery ? Math.min(0.15, slide * 0.02) : 0, now, 0.05);
+
+    // Lava hisses louder the closer the player is to burning
+    const burn = player.lavaTimer / LAVA_BURN_TIME;
+    audio.loops.sizzle.gain.setTargetAtTime(playing ? burn * burn * 0.3 : 0, now, 0.05);
+
+    if (playing) {
+        scheduleMusic();
+    } else if (currentState !== GameState.PAUSED) {
+        audio.nextNoteTime = 0;
     }
 }
 
-function checkGroundCollision() {
-    const raycaster = new THREE.Raycaster(
-        camera.position,
-        new THREE.Vector3(0, -1, 0),
-        0,
-        2.0
-    );
+// 0 for the first stage up to 1 for the last (endless: with height)
+function getMusicIntensity() {
+    if (endless) return Math.min(1, endless.bestHeight / ENDLESS_HARDEST_HEIGHT);
+    if (isDailyStage(currentStage)) return 0.5;
+    return Math.max(0, Math.min(1, (currentStage - 1) / Math.max(1, totalStages - 1)));
+}
 
-    const platformMeshes = platforms.map(p => p.mesh);
-    const intersects = raycaster.intersectObjects(platformMeshes);
-
-    if (intersects.length > 0) {
-        const distance = intersects[0].distance;
-        if (distance < 1.7) {
-            isOnGround = true;
-            const platform = intersects[0].object.userData.platform;
-            if (currentPlatform !== platform) {
-                // Reset lava timer on different platform
-                if (currentPlatform && currentPlatform.type === 'lava') {
-                    currentPlatform.resetLavaTimer();
-                }
-                currentPlatform = platform;
-            }
+// Eighth notes are scheduled slightly ahead of the audio clock; layers come
+// in and the tempo rises as the intensity goes up
+function scheduleMusic() {
+    const now = audio.context.currentTime;
+    if (audio.nextNoteTime < now) {
+        audio.nextNoteTime = now + 0.05;
+        audio.step = 0;
+    }
 
-            // Prevent falling through platform
-            if (velocity.y < 0) {
-                velocity.y = 0;
-                camera.position.y = intersects[0].point.y + 1.6;
-            }
-        } else {
-            isOnGround = false;
-            if (currentPlatform && currentPlatform.type === 'lava') {
-                currentPlatform.resetLavaTimer();
-            }
-            currentPlatform = null;
-        }
-    } else {
-        isOnGround = false;
-        if (currentPlatform && currentPlatform.type === 'lava') {
-            currentPlatform.resetLavaTimer();
-        }
-        currentPlatform = null;
+    const intensity = getMusicIntensity();
+    const eighth = 60 / (96 + 48 * intensity) / 2;
+
+    while (audio.nextNoteTime < now + MUSIC_LOOKAHEAD) {
+        playMusicStep(audio.step, audio.nextNoteTime, intensity, eighth);
+        audio.nextNoteTime += eighth;
+        audio.step++;
     }
 }
 
-function checkCheckpointCollision() {
-    if (!checkpoint || checkpointReached) return;
+function playMusicStep(step, time, intensity, eighth) {
+    const beat = step % 8;
+    const root = MUSIC_PROGRESSION[Math.floor(step / 8) % MUSIC_PROGRESSION.length];
+    const note = semitones => MUSIC_ROOT * Math.pow(2, (root + semitones) / 12);
+    const out = audio.music;
 
-    const distance = camera.position.distanceTo(checkpoint.position);
-    if (distance < 3) {
-        // Reached checkpoint!
-        checkpointReached = true;
-        currentStage++;
-        if (currentStage > totalStages) {
-            victory();
-        } else {
-            showMessage(`스테이지 ${currentStage - 1} 클리어!`);
-            setTimeout(() => {
-                loadStage(currentStage);
-                updateHUD();
-            }, 1000);
+    // Bass on every half bar
+    if (beat % 4 === 0) {
+        const bass = note(beat === 0 ? 0 : 7);
+        playTone({ type: 'triangle', from: bass, to: bass, duration: eighth * 3, volume: 0.25, time, destination: out });
+    }
+
+    if (intensity >= 0.25) {
+        const arpeggio = note(12 + MUSIC_SCALE[MUSIC_ARPEGGIO[beat]]);
+        playTone({ type: 'square', from: arpeggio, to: arpeggio, duration: eighth * 0.9, volume: 0.04, time, destination: out });
+    }
+
+    if (intensity >= 0.5) {
+        if (beat % 4 === 0) {
+            playTone({ type: 'sine', from: 150, to: 40, duration: 0.15, volume: 0.35, time, destination: out });
         }
+        playNoise({ filter: 'highpass', from: 7000, to: 9000, duration: 0.04, volume: beat % 2 ? 0.08 : 0.04, time, destination: out });
+    }
+
+    // Lead: a short phrase every other bar
+    if (intensity >= 0.75 && Math.floor(step / 8) % 2 === 1 && beat % 2 === 0) {
+        const lead = note(24 + MUSIC_SCALE[(beat / 2 + Math.floor(step / 16)) % MUSIC_SCALE.length]);
+        playTone({ type: 'sawtooth', from: lead, to: lead, duration: eighth * 1.8, volume: 0.035, time, destination: out });
     }
 }
 
@@ -1167,19 +4714,43 @@ function checkCheckpointCollision() {
 
 function updateHUD() {
     // Stage number
-    document.getElementById('stage-number').textContent = `${currentStage} / ${totalStages}`;
+    let stageLabel = isBonusStage(currentStage) ? `보너스 ${currentStage - totalStages}` : `${currentStage} / ${totalStages}`;
+    if (endless) {
+        stageLabel = `무한 타워 (${endless.seed})`;
+    } else if (isDailyStage(currentStage)) {
+        stageLabel = '일일 도전';
+    } else if (race) {
+        stageLabel = `레이스 · ${stageLabel}`;
+    } else if (splitScreen) {
+        stageLabel = `2인 대전 · ${stageLabel}`;
+    }
+    if (editor.isPlaytesting) {
+        stageLabel = '테스트';
+    } else if (replayPlayback) {
+        stageLabel = `${currentStage} (리플레이)`;
+    }
+    document.getElementById('stage-number').textContent = stageLabel;
 
     // Timer
     if (currentState === GameState.PLAYING) {
-        currentTime = Math.floor((Date.now() - gameStartTime) / 1000);
-        const minutes = Math.floor(currentTime / 60);
-        const seconds = currentTime % 60;
-        document.getElementById('timer').textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        document.getElementById('timer').textContent = formatSplitTime(runTimer.elapsed);
+        updateSplitDelta();
     }
 
-    // Height
-    const height = Math.max(0, Math.floor(camera.position.y));
+    // Height (the score in an endless run)
+    const height = endless ? endless.bestHeight : Math.max(0, Math.floor(player.position.y));
     document.getElementById('height').textContent = `${height}m`;
+
+    // Collectibles, hidden on stages without any
+    document.getElementById('collectible-item').style.display = world.collectibles.length > 0 ? 'block' : 'none';
+    document.getElementById('collectible-count').textContent = `${countCollected(world)} / ${world.collectibles.length}`;
+
+    // Deaths (hardcore has no respawns to count)
+    document.getElementById('deaths').textContent = isHardcore() ? '하드코어' : `${player.deaths}`;
+
+    if (splitScreen) {
+        updateSplitScreenHUD();
+    }
 }
 
 function showMessage(text) {
@@ -1196,7 +4767,8 @@ function showMessage(text) {
 // ========================================
 
 function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
+    // Split screen stacks one view per player
+    camera.aspect = window.innerWidth / (window.innerHeight / getLocalPlayers().length);
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
@@ -1208,28 +4780,92 @@ function onWindowResize() {
 function animate() {
     requestAnimationFrame(animate);
 
-    const delta = clock.getDelta();
+    const delta = Math.min(clock.getDelta(), MAX_FRAME_TIME);
+    updateInput(delta);
+    updateAudio();
 
     if (currentState === GameState.PLAYING) {
-        updatePhysics(delta);
-        checkCheckpointCollision();
-        updateHUD();
+        physicsAccumulator += delta;
+        while (physicsAccumulator >= PHYSICS_STEP && currentState === GameState.PLAYING) {
+            stepSimulation(PHYSICS_STEP);
+            physicsAccumulator -= PHYSICS_STEP;
+        }
+    } else if (currentState === GameState.EDITOR) {
+        updateEditor(delta);
+    }
 
-        // Update platforms
-        platforms.forEach(p => p.update(delta));
+    // A step can end the stage (a replay running out), which clears the world
+    if (currentState === GameState.PLAYING && world) {
+        updateHUD();
 
-        // Rotate checkpoint
+        // Rotate checkpoint and collectibles
         if (checkpoint) {
             checkpoint.rotation.y += delta * 2;
         }
+        world.collectibles.forEach(gem => {
+            gem.mesh.rotation.y += delta * 3;
+        });
+    }
+
+    // Other racers keep moving while this one is paused
+    if (race && race.isRacing) {
+        updateRaceAvatars();
+    }
+
+    if (currentState === GameState.PLAYING) {
+        renderInterpolated(physicsAccumulator / PHYSICS_STEP);
+    } else {
+        if (currentState !== GameState.EDITOR && currentState !== GameState.MENU) {
+            renderPlayerViews(getLocalPlayers().map(p => p.position));
+        } else {
+            renderer.render(scene, camera);
+        }
     }
+}
+
+function stepSimulation(step) {
+    applyTickInput();
+    if (currentState !== GameState.PLAYING) return;
 
-    renderer.render(scene, camera);
+    tickRunTimer(step);
+    stepWorld(world, step);
+    handlePlayerEvents();
+    updateEndless();
+    sendRaceState();
+
+    recordTick();
+    updateGhost();
+}
+
+function renderInterpolated(alpha) {
+    // Draw between the last two simulation states, then put the platforms back
+    const platforms = world.platforms;
+    const platformPositions = platforms.map(p => p.mesh.position.clone());
+    platforms.forEach((p, i) => p.mesh.position.lerpVectors(p.previousPosition, platformPositions[i], alpha));
+
+    renderPlayerViews(getLocalPlayers().map(p => new THREE.Vector3().lerpVectors(p.previousPosition, p.position, alpha)));
+
+    platforms.forEach((p, i) => {
+        p.mesh.position.copy(platformPositions[i]);
+        p.mesh.updateMatrixWorld();
+    });
 }
 
 // ========================================
 // START
 // ========================================
 
-init();
-animate();
+// The level pack has to be in place before init: the save is clamped to its
+// stage count and the menu lists its stages
+loadLevelPack(BUILTIN_LEVELS);
+const externalLevelsUrl = new URLSearchParams(window.location.search).get('levels');
+if (externalLevelsUrl) {
+    loadExternalLevels(externalLevelsUrl).then(error => {
+        init();
+        animate();
+        setMenuStatus(error);
+    });
+} else {
+    init();
+    animate();
+}
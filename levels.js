@@ -0,0 +1,410 @@
+// ========================================
+// 점프맵 (Jump Map) - Built-in Stages
+// ========================================
+// The built-in level pack, in the level format described in game.js (LEVEL
+// FORMAT section). It's a script rather than a .json file so the game also
+// runs from file://, where fetch isn't allowed; it still goes through the same
+// loader and validator as external packs.
+
+const BUILTIN_LEVELS = {
+    "format": "jumpmap-levels",
+    "version": 1,
+    "stages": [
+        {
+            "id": 1,
+            "name": "Tutorial",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 5, -31],
+            "parTime": 9.5,
+            "collectibles": [[0, 4.45, -16], [0, 4.45, -21]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "normal", "position": [0, 0, -6], "size": [3, 0.5, 3]},
+                {"type": "slime", "position": [0, 1, -11], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 3, -16], "size": [3, 0.5, 3]},
+                {"type": "lava", "position": [0, 3, -21], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [0, 4, -26], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 2,
+            "name": "계단 오르기",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 6, -30],
+            "parTime": 9,
+            "collectibles": [[0, 4.45, -15], [0, 5.45, -20]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "normal", "position": [0, 1, -5], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 2, -10], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 3, -15], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 4, -20], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 5, -25], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 3,
+            "name": "슬라임 점프",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 7, -26],
+            "parTime": 8.5,
+            "collectibles": [[0, 4.45, -11], [0, 4.45, -16]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "slime", "position": [0, 0, -6], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 3, -11], "size": [3, 0.5, 3]},
+                {"type": "slime", "position": [0, 3, -16], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 6, -21], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 4,
+            "name": "지그재그",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 6, -30],
+            "parTime": 12.5,
+            "collectibles": [[4, 4.45, -15], [-4, 5.45, -20]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "normal", "position": [4, 1, -5], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [-4, 2, -10], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [4, 3, -15], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [-4, 4, -20], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 5, -25], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 5,
+            "name": "점프패드",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 17, -26],
+            "parTime": 10,
+            "collectibles": [[0, 9.45, -11], [0, 9.45, -16]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "jump", "position": [0, 0, -6], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 8, -11], "size": [3, 0.5, 3]},
+                {"type": "jump", "position": [0, 8, -16], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 16, -21], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 6,
+            "name": "미끄러운 길",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 5, -31],
+            "parTime": 9.5,
+            "collectibles": [[0, 3.45, -16], [3, 4.45, -21]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "ice", "position": [0, 0, -6], "size": [5, 0.5, 3]},
+                {"type": "ice", "position": [0, 1, -11], "size": [5, 0.5, 3]},
+                {"type": "normal", "position": [0, 2, -16], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [3, 3, -21], "size": [4, 0.5, 3]},
+                {"type": "normal", "position": [0, 4, -26], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 7,
+            "name": "용암 타이밍",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 6, -30],
+            "parTime": 9,
+            "collectibles": [[0, 4.45, -15], [0, 5.45, -20]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "lava", "position": [0, 1, -5], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 2, -10], "size": [3, 0.5, 3]},
+                {"type": "lava", "position": [0, 3, -15], "size": [3, 0.5, 3]},
+                {"type": "lava", "position": [0, 4, -20], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 5, -25], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 8,
+            "name": "혼합 챌린지 1",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 14, -31],
+            "parTime": 11,
+            "collectibles": [[0, 5.45, -16], [0, 6.45, -21]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "slime", "position": [3, 0, -6], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [-3, 3, -11], "size": [4, 0.5, 3]},
+                {"type": "lava", "position": [0, 4, -16], "size": [3, 0.5, 3]},
+                {"type": "jump", "position": [0, 5, -21], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 13, -26], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 9,
+            "name": "나선형 계단",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 13, -23],
+            "parTime": 11.5,
+            "collectibles": [[-5, 7.45, -9], [5, 11.45, -15]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "normal", "position": [5, 2, -3], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 4, -6], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [-5, 6, -9], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 8, -12], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [5, 10, -15], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 12, -18], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 10,
+            "name": "움직이는 발판",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 8, -27],
+            "parTime": 15.5,
+            "collectibles": [[8, 4.45, -12]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "moving", "position": [0, 2, -7], "size": [3, 0.5, 3], "moveData": {"endX": 5, "endY": 2, "endZ": -7, "speed": 0.8}},
+                {"type": "normal", "position": [8, 3, -12], "size": [3, 0.5, 3]},
+                {"type": "moving", "position": [-5, 5, -17], "size": [3, 0.5, 3], "moveData": {"endX": 5, "endY": 5, "endZ": -17, "speed": 1}},
+                {"type": "normal", "position": [0, 7, -22], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 11,
+            "name": "정밀 점프",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 13, -32],
+            "parTime": 11.5,
+            "collectibles": [[-4, 7.45, -17], [0, 9.45, -22]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "normal", "position": [0, 2, -7], "size": [2.5, 0.5, 2.5]},
+                {"type": "normal", "position": [4, 4, -12], "size": [2.5, 0.5, 2.5]},
+                {"type": "normal", "position": [-4, 6, -17], "size": [2.5, 0.5, 2.5]},
+                {"type": "slime", "position": [0, 8, -22], "size": [2.5, 0.5, 2.5]},
+                {"type": "normal", "position": [0, 12, -27], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 12,
+            "name": "불과 얼음",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 6, -30],
+            "parTime": 9.5,
+            "collectibles": [[0, 4.45, -15], [4, 5.45, -20]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "lava", "position": [0, 1, -5], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [0, 2, -10], "size": [5, 0.5, 3]},
+                {"type": "lava", "position": [0, 3, -15], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [4, 4, -20], "size": [4, 0.5, 3]},
+                {"type": "normal", "position": [0, 5, -25], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 13,
+            "name": "연쇄 발사",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 24, -31],
+            "parTime": 12,
+            "collectibles": [[5, 20.45, -16], [5, 20.45, -21]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "jump", "position": [0, 1, -6], "size": [3, 0.5, 3]},
+                {"type": "jump", "position": [0, 10, -11], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [5, 19, -16], "size": [3, 0.5, 3]},
+                {"type": "slime", "position": [5, 19, -21], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 23, -26], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 14,
+            "name": "복합 이동",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 9, -32],
+            "parTime": 17,
+            "collectibles": [[0, 8.45, -22], [8, 6.45, -12]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "moving", "position": [0, 2, -7], "size": [3, 0.5, 3], "moveData": {"endX": 6, "endY": 4, "endZ": -7, "speed": 0.9}},
+                {"type": "ice", "position": [8, 5, -12], "size": [4, 0.5, 3]},
+                {"type": "moving", "position": [-6, 6, -17], "size": [3, 0.5, 3], "moveData": {"endX": 6, "endY": 6, "endZ": -17, "speed": 1.1}},
+                {"type": "lava", "position": [0, 7, -22], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 8, -27], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 15,
+            "name": "수직 타워",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 23, -21],
+            "parTime": 11.5,
+            "collectibles": [[-4, 9.45, -6], [0, 19.45, -12]],
+            "respawnPoints": [[0, 19, -8]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "slime", "position": [0, 2, -2], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [4, 6, -4], "size": [2.5, 0.5, 2.5]},
+                {"type": "jump", "position": [-4, 8, -6], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 17, -8], "size": [2.5, 0.5, 2.5]},
+                {"type": "slime", "position": [0, 18, -12], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 22, -16], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 16,
+            "name": "극한 타이밍",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 15, -35],
+            "parTime": 12.5,
+            "collectibles": [[-4, 4.45, -15], [0, 14.45, -25]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "lava", "position": [0, 1, -5], "size": [2.5, 0.5, 2.5]},
+                {"type": "timed", "position": [4, 2, -10], "size": [2.5, 0.5, 2.5], "options": {"onTime": 2, "offTime": 1.5}},
+                {"type": "lava", "position": [-4, 3, -15], "size": [2.5, 0.5, 2.5]},
+                {"type": "jump", "position": [0, 4, -20], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [0, 13, -25], "size": [5, 0.5, 3]},
+                {"type": "normal", "position": [0, 14, -30], "size": [3, 0.5, 3]}
+            ],
+            "hazards": [
+                {"type": "bar", "position": [0, 13.9, -25], "length": 2.5, "speed": 1.5}
+            ]
+        },
+        {
+            "id": 17,
+            "name": "미로 경로",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 20, -37],
+            "parTime": 18,
+            "collectibles": [[0, 11.45, -27], [4, 5.45, -13]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "conveyor", "position": [5, 2, -4], "size": [2.5, 0.5, 2.5], "options": {"directionX": 1, "directionZ": 0, "speed": 1.5}},
+                {"type": "ice", "position": [8, 3, -8], "size": [4, 0.5, 3]},
+                {"type": "slime", "position": [4, 4, -13], "size": [3, 0.5, 3]},
+                {"type": "moving", "position": [-4, 8, -17], "size": [3, 0.5, 3], "moveData": {"endX": 4, "endY": 8, "endZ": -17, "speed": 1.2}},
+                {"type": "lava", "position": [0, 9, -22], "size": [2.5, 0.5, 2.5]},
+                {"type": "jump", "position": [0, 10, -27], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 19, -32], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 18,
+            "name": "속도전",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 10, -33],
+            "parTime": 10,
+            "collectibles": [[0, 5.45, -16], [0, 9.45, -24]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "lava", "position": [0, 1, -4], "size": [3, 0.5, 3]},
+                {"type": "crumbling", "position": [0, 2, -8], "size": [3, 0.5, 3], "options": {"delay": 0.5}},
+                {"type": "lava", "position": [0, 3, -12], "size": [3, 0.5, 3]},
+                {"type": "slime", "position": [0, 4, -16], "size": [3, 0.5, 3]},
+                {"type": "lava", "position": [0, 7, -20], "size": [2.5, 0.5, 2.5]},
+                {"type": "crumbling", "position": [0, 8, -24], "size": [2.5, 0.5, 2.5], "options": {"delay": 0.5}},
+                {"type": "normal", "position": [0, 9, -28], "size": [3, 0.5, 3]}
+            ],
+            "hazards": [
+                {"type": "cannon", "position": [10, 5.5, -16], "direction": [-1, 0, 0], "interval": 2.5, "speed": 10}
+            ]
+        },
+        {
+            "id": 19,
+            "name": "종합 시험",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 25, -45],
+            "parTime": 21.5,
+            "collectibles": [[0, 11.45, -25], [5, 21.45, -35]],
+            "respawnPoints": [[0, 21, -30]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "ice", "position": [5, 1, -5], "size": [4, 0.5, 3]},
+                {"type": "slime", "position": [5, 2, -10], "size": [3, 0.5, 3]},
+                {"type": "moving", "position": [-5, 6, -15], "size": [3, 0.5, 3], "moveData": {"endX": 5, "endY": 8, "endZ": -15, "speed": 1}},
+                {"type": "lava", "position": [0, 9, -20], "size": [2.5, 0.5, 2.5]},
+                {"type": "jump", "position": [0, 10, -25], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [0, 19, -30], "size": [5, 0.5, 3]},
+                {"type": "bumper", "position": [-2.75, 20, -30], "size": [0.5, 1.5, 3]},
+                {"type": "slime", "position": [5, 20, -35], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 24, -40], "size": [3, 0.5, 3]}
+            ],
+            "hazards": [
+                {"type": "wind", "position": [0, 10, -22.5], "size": [6, 6, 5], "force": [30, 0, 0]}
+            ]
+        },
+        {
+            "id": 20,
+            "name": "최종 도전",
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 36, -53],
+            "parTime": 24.5,
+            "collectibles": [[0, 19.45, -25], [0, 31.45, -43]],
+            "respawnPoints": [[6, 12, -10], [0, 31, -38]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "jump", "position": [0, 1, -5], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [6, 10, -10], "size": [4, 0.5, 3]},
+                {"type": "slime", "position": [6, 11, -15], "size": [2.5, 0.5, 2.5]},
+                {"type": "moving", "position": [-6, 15, -20], "size": [3, 0.5, 3], "moveData": {"endX": 6, "endY": 17, "endZ": -20, "speed": 1.2}},
+                {"type": "lava", "position": [0, 18, -25], "size": [2.5, 0.5, 2.5]},
+                {"type": "timed", "position": [4, 19, -29], "size": [2.5, 0.5, 2.5], "options": {"onTime": 2.5, "offTime": 1, "offset": 1}},
+                {"type": "jump", "position": [-4, 20, -33], "size": [3, 0.5, 3]},
+                {"type": "ice", "position": [0, 29, -38], "size": [5, 0.5, 3]},
+                {"type": "slime", "position": [0, 30, -43], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 35, -48], "size": [4, 0.5, 4]}
+            ],
+            "hazards": [
+                {"type": "bar", "position": [0, 29.9, -38], "length": 2.5, "speed": -1.8},
+                {"type": "cannon", "position": [-10, 31, -43], "direction": [1, 0, 0], "interval": 3, "offset": 1.5, "speed": 10}
+            ]
+        }
+    ],
+    "bonusStages": [
+        {
+            "id": 21,
+            "name": "보석 정원",
+            "starsRequired": 20,
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 8, -34],
+            "parTime": 14,
+            "collectibles": [[4, 2.45, -5], [0, 4, -10], [-5, 5.45, -13], [5, 7.45, -24], [0, 8.45, -29]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "normal", "position": [4, 1, -5], "size": [3, 0.5, 3]},
+                {"type": "slime", "position": [0, 1, -10], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [-5, 4, -13], "size": [3, 0.5, 3]},
+                {"type": "moving", "position": [-5, 5, -19], "size": [3, 0.5, 3], "moveData": {"endX": 5, "endY": 5, "endZ": -19, "speed": 0.8}},
+                {"type": "ice", "position": [5, 6, -24], "size": [4, 0.5, 3]},
+                {"type": "normal", "position": [0, 7, -29], "size": [3, 0.5, 3]}
+            ]
+        },
+        {
+            "id": 22,
+            "name": "별의 탑",
+            "starsRequired": 45,
+            "spawnPoint": [0, 2, 0],
+            "checkpoint": [0, 24, -36],
+            "parTime": 18,
+            "collectibles": [[4, 11.45, -9], [0, 12.45, -13], [0, 22.45, -21], [0, 24.45, -31]],
+            "platforms": [
+                {"type": "normal", "position": [0, 0, 0], "size": [4, 0.5, 4]},
+                {"type": "jump", "position": [0, 1, -5], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [4, 10, -9], "size": [3, 0.5, 3]},
+                {"type": "timed", "position": [0, 11, -13], "size": [3, 0.5, 3], "options": {"onTime": 2, "offTime": 1}},
+                {"type": "jump", "position": [-4, 12, -17], "size": [3, 0.5, 3]},
+                {"type": "normal", "position": [0, 21, -21], "size": [3, 0.5, 3]},
+                {"type": "conveyor", "position": [0, 22, -26], "size": [3, 0.5, 3], "options": {"directionX": 0, "directionZ": -1, "speed": 1.5}},
+                {"type": "normal", "position": [0, 23, -31], "size": [3, 0.5, 3]}
+            ],
+            "hazards": [
+                {"type": "bar", "position": [0, 21.9, -21], "length": 2, "speed": 1.2}
+            ]
+        }
+    ]
+};
+
+// Lets Node tools (simulation.js, tests) read the stages
+if (typeof module !== 'undefined') {
+    module.exports = BUILTIN_LEVELS;
+}
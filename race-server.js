@@ -0,0 +1,611 @@
+// ========================================
+// 점프맵 (Jump Map) - Race Server
+// ========================================
+// Relays race rooms between players on the same network. Each client plays
+// the stage with its own simulation and sends its position a few times a
+// second; the server only keeps the lobby, starts the countdown, forwards
+// positions and times the race, so finishing times don't depend on anyone's
+// pause menu or frame rate.
+//
+//     node race-server.js           listens on port 8787
+//     node race-server.js 9000      another port
+//
+// Also serves the game's own files, so teammates can open
+// http://<this machine>:8787/ instead of running a web server. Plain Node,
+// nothing to install: the WebSocket handshake and framing are done here.
+//
+// Messages are JSON objects with a type, see CLIENT_MESSAGES for what the
+// client sends. The server sends:
+//     welcome   { id }                        after join
+//     room      { room, host, stage, phase, players: [...] }   on any lobby change
+//     countdown { stage, startsIn }           milliseconds until the race starts
+//     state     { id, position, yaw }         another racer moved
+//     progress  { id, deaths }
+//     finished  { id, time }
+//     results   { stage, standings: [{ id, name, time, deaths }] }  time is null when not finished
+//     error     { message }
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const COUNTDOWN_MS = 3000;
+const FINISH_GRACE_MS = 30000;    // Others get this long once someone finishes
+const RACE_TIME_LIMIT_MS = 600000;
+const MAX_PLAYERS = 8;
+const MAX_NAME_LENGTH = 16;
+const MAX_MESSAGE_BYTES = 4096;
+const HEARTBEAT_MS = 15000;       // Connections silent for two of these are dropped
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Game files served over http, and their content types
+const STATIC_FILES = {
+    '/index.html': 'text/html; charset=utf-8',
+    '/style.css': 'text/css; charset=utf-8',
+    '/levels.js': 'text/javascript; charset=utf-8',
+    '/simulation.js': 'text/javascript; charset=utf-8',
+    '/game.js': 'text/javascript; charset=utf-8'
+};
+
+// ========================================
+// WEBSOCKET
+// ========================================
+
+const Opcode = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+// Server end of one WebSocket. onMessage(text) gets each complete text
+// message, onClose() runs once however the connection ends.
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;   // Buffers of a text message split over frames
+        this.isOpen = true;
+        this.isAlive = true;     // Cleared by the heartbeat, set by any frame
+        this.onMessage = () => {};
+        this.onClose = () => {};
+
+        socket.setNoDelay(true);
+        socket.on('data', data => this.receive(data));
+        socket.on('end', () => this.closed());
+        socket.on('close', () => this.closed());
+        socket.on('error', () => this.closed());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        this.isAlive = true;
+
+        while (this.isOpen) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // Takes one whole frame off the buffer, or returns null until it has arrived
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+
+        // Clients must mask every frame
+        if (!masked) {
+            this.close(1002, 'Unmasked frame');
+            return null;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case Opcode.TEXT:
+                if (this.fragments) {
+                    this.close(1002, 'Expected a continuation frame');
+                    return;
+                }
+                this.fragments = [payload];
+                break;
+            case Opcode.CONTINUATION:
+                if (!this.fragments) {
+                    this.close(1002, 'Unexpected continuation frame');
+                    return;
+                }
+                this.fragments.push(payload);
+                if (this.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                break;
+            case Opcode.BINARY:
+                this.close(1003, 'Only text messages are accepted');
+                return;
+            case Opcode.CLOSE:
+                this.close(1000);
+                return;
+            case Opcode.PING:
+                this.sendFrame(Opcode.PONG, payload);
+                return;
+            case Opcode.PONG:
+                return;
+            default:
+                this.close(1002, 'Unknown opcode');
+                return;
+        }
+
+        if (fin) {
+            const text = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = null;
+            this.onMessage(text);
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (!this.isOpen) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+            header.writeUInt32BE(payload.length % 0x100000000, 6);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.sendFrame(Opcode.TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    ping() {
+        this.sendFrame(Opcode.PING, Buffer.alloc(0));
+    }
+
+    close(code, reason = '') {
+        if (!this.isOpen) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(Opcode.CLOSE, payload);
+        this.socket.end();
+        this.closed();
+    }
+
+    closed() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.socket.destroy();
+        this.onClose();
+    }
+}
+
+// Completes the opening handshake, or refuses the request
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+    if (upgrade !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new Connection(socket);
+}
+
+// ========================================
+// ROOMS
+// ========================================
+//
+// A room goes lobby -> countdown -> racing -> lobby. Results are sent when
+// everyone still connected has finished, FINISH_GRACE_MS after the first
+// finisher, or at RACE_TIME_LIMIT_MS. Someone leaving the lobby is removed;
+// someone dropping out of a race stays in its standings without a time.
+
+const rooms = new Map();   // Room name -> room
+let nextPlayerId = 1;
+
+function createRoom(name) {
+    return {
+        name,
+        players: [],           // In join order, see joinRoom
+        host: null,            // Player id that picks the stage
+        stage: 1,
+        phase: 'lobby',
+        startedAt: 0,          // Date.now() when the race began
+        timer: null            // Countdown, grace period or time limit
+    };
+}
+
+function getRoomState(room) {
+    return {
+        type: 'room',
+        room: room.name,
+        host: room.host,
+        stage: room.stage,
+        phase: room.phase,
+        players: room.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            ready: p.ready,
+            connected: p.connection !== null,
+            time: p.time,
+            deaths: p.deaths
+        }))
+    };
+}
+
+function broadcast(room, message, except = null) {
+    room.players.forEach(p => {
+        if (p.connection && p !== except) {
+            p.connection.send(message);
+        }
+    });
+}
+
+function sendRoomState(room) {
+    broadcast(room, getRoomState(room));
+}
+
+// Lowest color index nobody in the room uses, so avatars stay apart
+function pickColor(room) {
+    let color = 0;
+    while (room.players.some(p => p.color === color)) color++;
+    return color;
+}
+
+function joinRoom(connection, roomName, name) {
+    let room = rooms.get(roomName);
+    if (!room) {
+        room = createRoom(roomName);
+        rooms.set(roomName, room);
+    }
+    if (room.phase !== 'lobby') {
+        return { error: '이미 레이스가 진행 중입니다.' };
+    }
+    if (room.players.length >= MAX_PLAYERS) {
+        return { error: `방이 가득 찼습니다. (최대 ${MAX_PLAYERS}명)` };
+    }
+
+    const player = {
+        id: nextPlayerId++,
+        name,
+        color: pickColor(room),
+        connection,
+        ready: false,
+        time: null,           // Milliseconds from the start, once finished
+        deaths: 0
+    };
+    room.players.push(player);
+    if (room.host === null) {
+        room.host = player.id;
+    }
+
+    console.log(`${name} (#${player.id}) joined room "${roomName}"`);
+    return { room, player };
+}
+
+function leaveRoom(room, player) {
+    player.connection = null;
+    console.log(`${player.name} (#${player.id}) left room "${room.name}"`);
+
+    // Racers who drop out stay in the standings until the results are out
+    if (room.phase === 'lobby' || room.phase === 'countdown') {
+        room.players = room.players.filter(p => p !== player);
+    }
+
+    const connected = room.players.filter(p => p.connection);
+    if (connected.length === 0) {
+        clearTimeout(room.timer);
+        rooms.delete(room.name);
+        return;
+    }
+
+    if (room.host === player.id) {
+        room.host = connected[0].id;
+    }
+
+    if (room.phase === 'countdown' && connected.length < 2) {
+        cancelCountdown(room);
+    } else if (room.phase === 'racing' && isRaceOver(room)) {
+        endRace(room);
+        return;
+    }
+    sendRoomState(room);
+}
+
+function tryStartCountdown(room) {
+    if (room.phase !== 'lobby' || room.players.length < 2) return;
+    if (!room.players.every(p => p.ready)) return;
+
+    room.phase = 'countdown';
+    broadcast(room, { type: 'countdown', stage: room.stage, startsIn: COUNTDOWN_MS });
+    room.timer = setTimeout(() => startRace(room), COUNTDOWN_MS);
+    console.log(`Room "${room.name}" counting down to stage ${room.stage}`);
+}
+
+function cancelCountdown(room) {
+    clearTimeout(room.timer);
+    room.phase = 'lobby';
+    room.players.forEach(p => { p.ready = false; });
+    broadcast(room, { type: 'error', message: '참가자가 나가서 카운트다운이 취소되었습니다.' });
+}
+
+function startRace(room) {
+    room.phase = 'racing';
+    room.startedAt = Date.now();
+    room.timer = setTimeout(() => endRace(room), RACE_TIME_LIMIT_MS);
+    sendRoomState(room);
+}
+
+function finishRacer(room, player) {
+    if (room.phase !== 'racing' || player.time !== null) return;
+
+    player.time = Date.now() - room.startedAt;
+    broadcast(room, { type: 'finished', id: player.id, time: player.time });
+    console.log(`${player.name} finished stage ${room.stage} in ${(player.time / 1000).toFixed(2)}s`);
+
+    // The first finisher starts the grace period for everyone else
+    if (room.players.filter(p => p.time !== null).length === 1) {
+        clearTimeout(room.timer);
+        room.timer = setTimeout(() => endRace(room), FINISH_GRACE_MS);
+    }
+    if (isRaceOver(room)) {
+        endRace(room);
+    }
+}
+
+function isRaceOver(room) {
+    return room.players.every(p => p.time !== null || !p.connection);
+}
+
+function endRace(room) {
+    if (room.phase !== 'racing') return;
+    clearTimeout(room.timer);
+
+    // Finishers by time, then everyone else in join order
+    const standings = room.players
+        .map(p => ({ id: p.id, name: p.name, time: p.time, deaths: p.deaths }))
+        .sort((a, b) => (a.time === null) - (b.time === null) || (a.time || 0) - (b.time || 0));
+    broadcast(room, { type: 'results', stage: room.stage, standings });
+
+    // Back to the lobby for the next race, without the ones who dropped out
+    room.phase = 'lobby';
+    room.players = room.players.filter(p => p.connection);
+    room.players.forEach(p => {
+        p.ready = false;
+        p.time = null;
+        p.deaths = 0;
+    });
+    sendRoomState(room);
+}
+
+// ========================================
+// MESSAGES
+// ========================================
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// type -> handler(room, player, message) for clients that have joined
+const CLIENT_MESSAGES = {
+    // { stage } host only, in the lobby; any stage id the game knows
+    stage(room, player, message) {
+        if (player.id !== room.host || room.phase !== 'lobby') return;
+        if (!Number.isInteger(message.stage) || message.stage < 1) return;
+
+        room.stage = message.stage;
+        room.players.forEach(p => { p.ready = false; });
+        sendRoomState(room);
+    },
+    // { ready }
+    ready(room, player, message) {
+        if (room.phase !== 'lobby') return;
+
+        player.ready = message.ready === true;
+        sendRoomState(room);
+        tryStartCountdown(room);
+    },
+    // { position: [x, y, z], yaw } eye position, while racing
+    state(room, player, message) {
+        if (room.phase !== 'racing') return;
+        const { position, yaw } = message;
+        if (!Array.isArray(position) || position.length !== 3 || !position.every(isFiniteNumber) || !isFiniteNumber(yaw)) return;
+
+        broadcast(room, { type: 'state', id: player.id, position, yaw }, player);
+    },
+    // { deaths } after each death, while racing
+    progress(room, player, message) {
+        if (room.phase !== 'racing' || !Number.isInteger(message.deaths)) return;
+
+        player.deaths = message.deaths;
+        broadcast(room, { type: 'progress', id: player.id, deaths: player.deaths }, player);
+    },
+    // Reached the checkpoint; the server's clock gives the time
+    finish(room, player) {
+        finishRacer(room, player);
+    }
+};
+
+function cleanName(value, fallback) {
+    const name = typeof value === 'string' ? value.trim().slice(0, MAX_NAME_LENGTH) : '';
+    return name || fallback;
+}
+
+function handleConnection(connection) {
+    let room = null;
+    let player = null;
+
+    connection.onMessage = text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        if (message === null || typeof message !== 'object') return;
+
+        // The first message must be { type: 'join', room, name }
+        if (!player) {
+            if (message.type !== 'join') return;
+
+            const joined = joinRoom(connection, cleanName(message.room, 'lobby'), cleanName(message.name, '플레이어'));
+            if (joined.error) {
+                connection.send({ type: 'error', message: joined.error });
+                connection.close(1000);
+                return;
+            }
+            ({ room, player } = joined);
+            connection.send({ type: 'welcome', id: player.id });
+            sendRoomState(room);
+            return;
+        }
+
+        if (message.type === 'leave') {
+            connection.close(1000);
+            return;
+        }
+
+        const handler = CLIENT_MESSAGES[message.type];
+        if (handler) {
+            handler(room, player, message);
+        }
+    };
+
+    connection.onClose = () => {
+        if (player) {
+            leaveRoom(room, player);
+        }
+    };
+}
+
+// ========================================
+// HTTP
+// ========================================
+
+function serveFile(request, response) {
+    const url = request.url.split('?')[0];
+    const file = url === '/' ? '/index.html' : url;
+    const type = STATIC_FILES[file];
+
+    if (request.method !== 'GET' || !type) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(path.join(__dirname, file), (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': type });
+        response.end(data);
+    });
+}
+
+function startServer(port) {
+    const server = http.createServer(serveFile);
+    const connections = new Set();
+
+    server.on('upgrade', (request, socket, head) => {
+        const connection = acceptWebSocket(request, socket);
+        if (!connection) return;
+
+        connections.add(connection);
+        handleConnection(connection);
+        const onClose = connection.onClose;
+        connection.onClose = () => {
+            connections.delete(connection);
+            onClose();
+        };
+
+        // Frames that arrived along with the handshake
+        if (head.length > 0) {
+            connection.receive(head);
+        }
+    });
+
+    // Drop connections that stopped answering (closed laptops, lost Wi-Fi)
+    const heartbeat = setInterval(() => {
+        connections.forEach(connection => {
+            if (!connection.isAlive) {
+                connection.closed();
+                return;
+            }
+            connection.isAlive = false;
+            connection.ping();
+        });
+    }, HEARTBEAT_MS);
+    server.on('close', () => clearInterval(heartbeat));
+
+    server.listen(port, () => {
+        console.log(`Race server on port ${port}: open http://localhost:${port}/ or connect to ws://localhost:${port}`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    startServer(port);
+}
+
+module.exports = { startServer };
@@ -0,0 +1,1643 @@
+// ========================================
+// 점프맵 (Jump Map) - Simulation
+// ========================================
+// Platforms, hazards, the player's physics and the stage rules, with no DOM,
+// renderer or audio. Everything a stage needs lives in a world object from
+// createWorld; each player is a Body whose controls are set before every
+// stepWorld. Meshes are still built (collision reads their boxes), but
+// nothing is added to a scene: game.js does that, and reacts to the events
+// each body collects during a step (jumps, deaths, the checkpoint).
+//
+// Runs the same under Node (npm install three@0.128):
+//
+//     const { createWorld, Body, runScript } = require('./simulation.js');
+//     const stage = require('./levels.js').stages[4];
+//     const world = createWorld(stage, [new Body()]);
+//     const { events } = runScript(world, tick => ({ moveY: 1, jump: tick % 60 < 30 }), { ticks: 600 });
+//
+// simulation.test.js plays scripts like this on built-in stages: node --test
+
+if (typeof THREE === 'undefined' && typeof require === 'function') {
+    var THREE = require('three');
+}
+
+// === CONSTANTS ===
+// Movement profile: all the tuning for how the player runs and jumps
+const MOVEMENT_PROFILE = {
+    gravity: 20.0,
+    jumpForce: 9.5,
+    terminalVelocity: 50.0,
+    walkSpeed: 1.5,
+    runSpeed: 3.0,
+    coyoteTime: 0.1,          // Seconds after leaving a ledge that a jump still counts as grounded
+    jumpBuffer: 0.12,         // Seconds a jump pressed just before landing is remembered
+    jumpCutMultiplier: 0.5,   // Upward speed kept when jump is released while still rising
+    doubleJumpForce: 8.5,
+    wallJumpForce: 9.0,
+    wallJumpPush: 20.0,       // Speed away from the wall
+    wallJumpGrace: 0.1,       // Seconds after touching a wall that a wall jump still works
+    dashSpeed: 40.0,
+    dashTime: 0.15
+};
+
+// Optional moves, off unless a stage turns them on with "abilities": { "doubleJump": true }
+const ABILITIES = {
+    doubleJump: '더블 점프',
+    wallJump: '벽 점프',
+    airDash: '공중 대시'
+};
+
+const PLAYER_EYE_HEIGHT = 1.6;
+const PLAYER_RADIUS = 0.4;
+const PLAYER_HEAD_HEIGHT = 0.2;  // Top of the capsule above the eye
+const WALKABLE_NORMAL_Y = 0.7;   // Steeper contacts are walls/edges the player slides off
+const GROUND_PROBE = 0.1;        // How far below the feet still counts as standing
+const CHECKPOINT_RADIUS = 3;
+const RESPAWN_FLAG_RADIUS = 1.5;
+const RESPAWN_DELAY = 0.5;       // Seconds of fade between dying and reappearing at a flag
+const COLLECTIBLE_RADIUS = 1.2;
+const FALL_LIMIT_Y = -20;
+const LAVA_BURN_TIME = 1.5;      // Seconds standing on lava before burning
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Physics runs at a fixed rate so jumps, ice and lava timing don't depend on frame rate
+const PHYSICS_STEP = 1 / 120;
+
+// ========================================
+// PLATFORM TYPES
+// ========================================
+//
+// Every platform type is a self-contained definition:
+//   label       Name shown in the editor palette
+//   material    MeshStandardMaterial parameters
+//   physics     Modifiers applied while standing on it (see DEFAULT_PLATFORM_PHYSICS)
+//   usesMoveData  Whether the stage config gives it a moveData path
+//   options     Defaults for the stage config's "options" object (all numbers)
+//   validateOptions(options)          Extra checks, returns error strings
+//   onCreate(platform)                Set up per-platform state
+//   onLand(platform, player)          Player starts standing on it
+//   onStay(platform, player, delta)   Every physics step while standing on it
+//   onLeave(platform, player)         Player steps, jumps or falls off
+//   onUpdate(platform, delta)         Every physics step, stood on or not
+//   onTouch(platform, player, normal) Player bumps into its side
+
+const DEFAULT_PLATFORM_PHYSICS = {
+    jumpMultiplier: 1.0,   // Scales the profile's jumpForce for a normal jump
+    launchMultiplier: 0,   // Non-zero: launches the player automatically with this jumpForce multiple
+    damping: 10.0          // Horizontal velocity damping (also used in the air)
+};
+
+const PLATFORM_TYPES = {};
+
+function registerPlatformType(name, definition) {
+    PLATFORM_TYPES[name] = {
+        ...definition,
+        physics: { ...DEFAULT_PLATFORM_PHYSICS, ...definition.physics }
+    };
+}
+
+function getPlatformType(name) {
+    return PLATFORM_TYPES[name] || PLATFORM_TYPES.normal;
+}
+
+function getPlatformPhysics(platform) {
+    return platform ? platform.definition.physics : DEFAULT_PLATFORM_PHYSICS;
+}
+
+registerPlatformType('normal', {
+    label: '일반',
+    material: { color: 0x808080, roughness: 0.7, metalness: 0.3 }
+});
+
+registerPlatformType('slime', {
+    label: '슬라임',
+    material: { color: 0x00ff00, emissive: 0x00ff00, emissiveIntensity: 0.3, roughness: 0.4 },
+    physics: { jumpMultiplier: 1.5 }
+});
+
+registerPlatformType('jump', {
+    label: '점프',
+    material: { color: 0xffaa00, emissive: 0xffaa00, emissiveIntensity: 0.4, roughness: 0.5 },
+    physics: { launchMultiplier: 2.5 }
+});
+
+registerPlatformType('ice', {
+    label: '얼음',
+    material: { color: 0xaaddff, roughness: 0.1, metalness: 0.6, transparent: true, opacity: 0.8 },
+    physics: { damping: 3.0 }
+});
+
+registerPlatformType('lava', {
+    label: '용암',
+    material: { color: 0xff4400, emissive: 0xff4400, emissiveIntensity: 0.6, roughness: 0.8 },
+    onStay(platform, player, delta) {
+        player.lavaTimer += delta;
+        if (player.lavaTimer > LAVA_BURN_TIME) {
+            // Player dies from lava
+            killBody(player, '용암에 빠졌습니다!');
+        }
+    },
+    onLeave(platform, player) {
+        player.lavaTimer = 0;
+    },
+    onCreate(platform) {
+        platform.pulseTimer = 0;
+    },
+    onUpdate(platform, delta) {
+        // Pulsing glow, driven by world time so replays look the same
+        platform.pulseTimer += delta;
+        platform.mesh.material.emissiveIntensity = Math.sin(platform.pulseTimer * 5) * 0.3 + 0.6;
+    }
+});
+
+registerPlatformType('crumbling', {
+    label: '부서짐',
+    material: { color: 0x9c6b3e, roughness: 0.9 },
+    options: {
+        delay: 0.6,   // Seconds of shaking between landing and falling
+        respawn: 4    // Seconds until it comes back after falling, 0 = never
+    },
+    validateOptions(options) {
+        const errors = [];
+        if (options.delay < 0) errors.push('options.delay: expected 0 or more');
+        if (options.respawn < 0) errors.push('options.respawn: expected 0 or more');
+        return errors;
+    },
+    onCreate(platform) {
+        platform.home = platform.mesh.position.clone();
+        platform.crumbleState = 'intact';
+        platform.crumbleTimer = 0;
+        platform.fallSpeed = 0;
+    },
+    onLand(platform) {
+        if (platform.crumbleState === 'intact') {
+            platform.crumbleState = 'shaking';
+            platform.crumbleTimer = 0;
+        }
+    },
+    onUpdate(platform, delta) {
+        const { delay, respawn } = platform.options;
+        const mesh = platform.mesh;
+        platform.crumbleTimer += delta;
+
+        if (platform.crumbleState === 'shaking') {
+            if (platform.crumbleTimer < delay) {
+                // Shake harder the closer it gets to falling
+                const amount = 0.05 * (platform.crumbleTimer / delay);
+                mesh.position.set(
+                    platform.home.x + Math.sin(platform.crumbleTimer * 60) * amount,
+                    platform.home.y,
+                    platform.home.z + Math.cos(platform.crumbleTimer * 47) * amount
+                );
+            } else {
+                mesh.position.copy(platform.home);
+                platform.crumbleState = 'falling';
+                platform.crumbleTimer = 0;
+                platform.fallSpeed = 0;
+                platform.solid = false;
+            }
+        } else if (platform.crumbleState === 'falling') {
+            platform.fallSpeed = Math.min(platform.fallSpeed + MOVEMENT_PROFILE.gravity * delta, MOVEMENT_PROFILE.terminalVelocity);
+            mesh.position.y -= platform.fallSpeed * delta;
+            mesh.visible = platform.crumbleTimer < 2;
+
+            if (respawn > 0 && platform.crumbleTimer >= respawn) {
+                mesh.position.copy(platform.home);
+                platform.previousPosition.copy(platform.home);
+                mesh.visible = true;
+                platform.crumbleState = 'intact';
+                platform.solid = true;
+            }
+        }
+    }
+});
+
+registerPlatformType('timed', {
+    label: '깜빡임',
+    material: { color: 0x00ddcc, emissive: 0x00ddcc, emissiveIntensity: 0.3, roughness: 0.5, transparent: true, opacity: 0.85 },
+    options: {
+        onTime: 2,    // Seconds it stays solid
+        offTime: 1.5, // Seconds it stays gone
+        offset: 0     // Seconds into the cycle at stage start, to stagger neighbours
+    },
+    validateOptions(options) {
+        const errors = [];
+        if (!(options.onTime > 0)) errors.push('options.onTime: expected a positive number');
+        if (!(options.offTime > 0)) errors.push('options.offTime: expected a positive number');
+        return errors;
+    },
+    onCreate(platform) {
+        platform.phaseTimer = platform.options.offset;
+    },
+    onUpdate(platform, delta) {
+        const { onTime, offTime } = platform.options;
+        platform.phaseTimer += delta;
+
+        const phase = platform.phaseTimer % (onTime + offTime);
+        platform.solid = phase < onTime;
+        platform.mesh.visible = platform.solid;
+
+        // Blink as a warning just before it disappears
+        const warning = platform.solid && onTime - phase < 0.6;
+        platform.mesh.material.opacity = warning && Math.floor(phase * 10) % 2 === 0 ? 0.3 : 0.85;
+    }
+});
+
+registerPlatformType('conveyor', {
+    label: '컨베이어',
+    material: { color: 0x445566, roughness: 0.8, metalness: 0.4 },
+    options: {
+        directionX: 0,  // Push direction on the ground plane
+        directionZ: -1,
+        speed: 2        // Metres per second
+    },
+    validateOptions(options) {
+        const errors = [];
+        if (options.directionX === 0 && options.directionZ === 0) {
+            errors.push('options.directionX/directionZ: direction must not be zero');
+        }
+        if (!(options.speed > 0)) errors.push('options.speed: expected a positive number');
+        return errors;
+    },
+    onCreate(platform) {
+        const { directionX, directionZ, speed } = platform.options;
+        const direction = new THREE.Vector3(directionX, 0, directionZ).normalize();
+        platform.surfaceVelocity.copy(direction).multiplyScalar(speed);
+
+        // Arrow sliding along the belt shows which way it pushes
+        const arrow = new THREE.Mesh(
+            new THREE.ConeGeometry(0.3, 0.6, 3),
+            new THREE.MeshStandardMaterial({ color: 0xffdd00, emissive: 0xffdd00, emissiveIntensity: 0.5 })
+        );
+        arrow.quaternion.setFromUnitVectors(WORLD_UP, direction);
+        platform.mesh.add(arrow);
+        platform.arrow = arrow;
+        platform.arrowDirection = direction;
+        platform.arrowTimer = 0;
+    },
+    onUpdate(platform, delta) {
+        const direction = platform.arrowDirection;
+        const length = Math.abs(direction.x) * platform.width + Math.abs(direction.z) * platform.depth;
+        platform.arrowTimer += delta;
+
+        const along = (platform.arrowTimer * platform.options.speed) % length - length / 2;
+        platform.arrow.position.copy(direction).multiplyScalar(along);
+        platform.arrow.position.y = platform.height / 2 + 0.05;
+    }
+});
+
+registerPlatformType('bumper', {
+    label: '범퍼',
+    material: { color: 0xff3399, emissive: 0xff3399, emissiveIntensity: 0.3, roughness: 0.3 },
+    options: {
+        force: 25,  // Horizontal knockback speed
+        lift: 4     // Upward speed so the player leaves the ground
+    },
+    validateOptions(options) {
+        const errors = [];
+        if (!(options.force > 0)) errors.push('options.force: expected a positive number');
+        if (options.lift < 0) errors.push('options.lift: expected 0 or more');
+        return errors;
+    },
+    onCreate(platform) {
+        platform.flash = 0;
+    },
+    onTouch(platform, player, normal) {
+        const push = new THREE.Vector3(normal.x, 0, normal.z).normalize();
+        knockBody(player, push.multiplyScalar(platform.options.force), platform.options.lift);
+        platform.flash = 1;
+    },
+    onUpdate(platform, delta) {
+        platform.flash = Math.max(0, platform.flash - delta * 3);
+        platform.mesh.material.emissiveIntensity = 0.3 + platform.flash;
+    }
+});
+
+registerPlatformType('moving', {
+    label: '움직임',
+    material: { color: 0xaa00ff, emissive: 0xaa00ff, emissiveIntensity: 0.3, roughness: 0.6 },
+    usesMoveData: true,
+    onUpdate(platform, delta) {
+        platform.moveProgress += platform.moveDirection * platform.moveSpeed * delta;
+
+        if (platform.moveProgress >= 1.0) {
+            platform.moveProgress = 1.0;
+            platform.moveDirection = -1;
+        } else if (platform.moveProgress <= 0.0) {
+            platform.moveProgress = 0.0;
+            platform.moveDirection = 1;
+        }
+
+        platform.mesh.position.lerpVectors(platform.startPos, platform.endPos, platform.moveProgress);
+    }
+});
+
+// ========================================
+// PLATFORM CLASS
+// ========================================
+
+class Platform {
+    constructor(x, y, z, width, height, depth, type = 'normal', moveData = null, options = null) {
+        this.type = type;
+        this.width = width;
+        this.height = height;
+        this.depth = depth;
+        this.moveData = moveData; // For moving platforms
+        this.size = new THREE.Vector3(width, height, depth);
+
+        this.definition = getPlatformType(type);
+        this.options = { ...this.definition.options, ...options }; // Type-specific timing settings
+        this.solid = true; // Non-solid platforms are skipped by collision
+        this.surfaceVelocity = new THREE.Vector3(); // Pushes whoever stands on it (conveyor)
+
+        // Create mesh based on type
+        const geometry = new THREE.BoxGeometry(width, height, depth);
+        const material = new THREE.MeshStandardMaterial(this.definition.material);
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.set(x, y, z);
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        this.mesh.updateMatrixWorld();
+        this.previousPosition = this.mesh.position.clone(); // For render interpolation
+        this.motion = new THREE.Matrix4(); // Transform applied by the last update
+
+        // Store platform data in userData
+        this.mesh.userData.platformType = type;
+        this.mesh.userData.platform = this;
+
+        // For moving platforms
+        if (moveData) {
+            this.startPos = new THREE.Vector3(x, y, z);
+            this.endPos = new THREE.Vector3(moveData.endX, moveData.endY, moveData.endZ);
+            this.moveSpeed = moveData.speed || 2.0;
+            this.moveProgress = 0;
+            this.moveDirection = 1;
+        }
+
+        if (this.definition.onCreate) {
+            this.definition.onCreate(this);
+        }
+    }
+
+    update(delta) {
+        const previousMatrix = this.mesh.matrixWorld.clone();
+
+        if (this.definition.onUpdate) {
+            this.definition.onUpdate(this, delta);
+
+            // Collision reads the world matrix, keep it in step with the simulation
+            this.mesh.updateMatrixWorld();
+        }
+
+        this.motion.multiplyMatrices(this.mesh.matrixWorld, previousMatrix.invert());
+    }
+
+    onLand(player) {
+        if (this.definition.onLand) {
+            this.definition.onLand(this, player);
+        }
+    }
+
+    handleEffect(player, delta) {
+        if (this.definition.onStay) {
+            this.definition.onStay(this, player, delta);
+        }
+    }
+
+    onLeave(player) {
+        if (this.definition.onLeave) {
+            this.definition.onLeave(this, player);
+        }
+    }
+
+    onTouch(player, normal) {
+        if (this.definition.onTouch) {
+            this.definition.onTouch(this, player, normal);
+        }
+    }
+
+    // Collision box in world space
+    getBox(target) {
+        return target.setFromCenterAndSize(this.mesh.position, this.size);
+    }
+
+    // How far a point resting on the platform was moved by the last update,
+    // plus any surface push. Works for any rigid motion, not just the linear
+    // path of 'moving' platforms.
+    getCarryOffset(point, target, delta) {
+        return target.copy(point).applyMatrix4(this.motion).sub(point)
+            .addScaledVector(this.surfaceVelocity, delta);
+    }
+
+}
+
+// ========================================
+// HAZARDS
+// ========================================
+//
+// Obstacles that aren't stood on. Each type is registered like PLATFORM_TYPES:
+//   fields      Defaults for the stage config entry besides type and position
+//               (numbers or [x, y, z] arrays)
+//   validate(config)              Extra checks, returns error strings
+//   create(hazard)                Build meshes under hazard.mesh and set up state
+//   update(hazard, delta, world)          Every physics step
+//   affectPlayer(hazard, player, delta)   Collision response, skipped while respawning
+// Everything a hazard draws lives under hazard.mesh, so removing it cleans up.
+
+const PROJECTILE_RADIUS = 0.3;
+
+const HAZARD_TYPES = {};
+
+function registerHazardType(name, definition) {
+    HAZARD_TYPES[name] = definition;
+}
+
+registerHazardType('bar', {
+    fields: {
+        length: 3,     // Pivot to tip
+        thickness: 0.3,
+        speed: 1.5,    // Radians per second, negative turns the other way
+        angle: 0,      // Starting angle in radians
+        force: 25,     // Knockback speed
+        lift: 5
+    },
+    validate(config) {
+        const errors = [];
+        if (!(config.length > 0)) errors.push('length: expected a positive number');
+        if (!(config.thickness > 0)) errors.push('thickness: expected a positive number');
+        return errors;
+    },
+    create(hazard) {
+        const { length, thickness } = hazard.config;
+        const material = new THREE.MeshStandardMaterial({ color: 0xcc2222, emissive: 0x661111, roughness: 0.5 });
+
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, thickness * 2, 12), material);
+        const bar = new THREE.Mesh(new THREE.BoxGeometry(length, thickness, thickness), material);
+        bar.position.x = length / 2;
+
+        hazard.arm = new THREE.Group();
+        hazard.arm.add(bar);
+        hazard.mesh.add(post, hazard.arm);
+
+        hazard.angle = hazard.config.angle;
+        hazard.cooldown = 0;
+    },
+    update(hazard, delta) {
+        hazard.angle += hazard.config.speed * delta;
+        hazard.arm.rotation.y = hazard.angle;
+        hazard.cooldown = Math.max(0, hazard.cooldown - delta);
+    },
+    affectPlayer(hazard, player) {
+        if (hazard.cooldown > 0) return;
+
+        const { length, thickness, speed, force, lift } = hazard.config;
+        const pivot = hazard.mesh.position;
+        const segment = getCapsuleSegment(player.position);
+        const reach = PLAYER_RADIUS + thickness / 2;
+        if (pivot.y < segment.bottom - reach || pivot.y > segment.top + reach) return;
+
+        // Closest point on the arm to the capsule axis, on the ground plane
+        const arm = new THREE.Vector3(Math.cos(hazard.angle), 0, -Math.sin(hazard.angle));
+        const offset = new THREE.Vector3(player.position.x - pivot.x, 0, player.position.z - pivot.z);
+        const along = Math.max(0, Math.min(length, offset.dot(arm)));
+        const away = offset.clone().addScaledVector(arm, -along);
+        if (away.length() >= reach) return;
+
+        // Swept the way the bar is turning
+        const push = speed === 0
+            ? away.normalize()
+            : new THREE.Vector3(arm.z, 0, -arm.x).multiplyScalar(Math.sign(speed));
+        knockBody(player, push.multiplyScalar(force), lift);
+        hazard.cooldown = 0.5;
+    }
+});
+
+registerHazardType('cannon', {
+    fields: {
+        direction: [0, 0, 1],
+        interval: 2,   // Seconds between shots
+        offset: 0,     // Seconds into the first interval at stage start
+        speed: 12,     // Projectile speed
+        range: 30,     // Distance before a projectile disappears
+        force: 20,
+        lift: 3
+    },
+    validate(config) {
+        const errors = [];
+        if (config.direction.every(v => v === 0)) errors.push('direction: must not be zero');
+        if (!(config.interval > 0)) errors.push('interval: expected a positive number');
+        if (!(config.speed > 0)) errors.push('speed: expected a positive number');
+        if (!(config.range > 0)) errors.push('range: expected a positive number');
+        return errors;
+    },
+    create(hazard) {
+        hazard.direction = new THREE.Vector3().fromArray(hazard.config.direction).normalize();
+
+        const material = new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.7, roughness: 0.4 });
+        const base = new THREE.Mesh(new THREE.SphereGeometry(0.5, 16, 12), material);
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.35, 1.2, 12), material);
+        barrel.quaternion.setFromUnitVectors(WORLD_UP, hazard.direction);
+        barrel.position.copy(hazard.direction).multiplyScalar(0.6);
+        hazard.mesh.add(base, barrel);
+
+        hazard.projectileMaterial = new THREE.MeshStandardMaterial({ color: 0x222222, emissive: 0xff6600, emissiveIntensity: 0.3 });
+        hazard.projectiles = [];
+        hazard.timer = hazard.config.offset;
+    },
+    update(hazard, delta, world) {
+        const { interval, speed, range } = hazard.config;
+
+        hazard.timer += delta;
+        if (hazard.timer >= interval) {
+            hazard.timer -= interval;
+
+            const shot = new THREE.Mesh(new THREE.SphereGeometry(PROJECTILE_RADIUS, 12, 8), hazard.projectileMaterial);
+            shot.position.copy(hazard.direction).multiplyScalar(1.2);
+            hazard.mesh.add(shot);
+            hazard.projectiles.push({ mesh: shot, travelled: 0 });
+        }
+
+        // Projectiles are local to the cannon; platforms stop them
+        const box = new THREE.Box3();
+        const point = new THREE.Vector3();
+        hazard.projectiles = hazard.projectiles.filter(shot => {
+            shot.mesh.position.addScaledVector(hazard.direction, speed * delta);
+            shot.travelled += speed * delta;
+
+            point.copy(shot.mesh.position).add(hazard.mesh.position);
+            const blocked = world.platforms.some(p => p.solid && p.getBox(box).containsPoint(point));
+            if (shot.travelled > range || blocked) {
+                hazard.mesh.remove(shot.mesh);
+                return false;
+            }
+            return true;
+        });
+    },
+    affectPlayer(hazard, player) {
+        const { force, lift } = hazard.config;
+        const segment = getCapsuleSegment(player.position);
+        const point = new THREE.Vector3();
+
+        hazard.projectiles = hazard.projectiles.filter(shot => {
+            point.copy(shot.mesh.position).add(hazard.mesh.position);
+
+            // Distance from the projectile to the capsule axis
+            const axisY = Math.max(segment.bottom, Math.min(point.y, segment.top));
+            const distance = point.distanceTo(new THREE.Vector3(player.position.x, axisY, player.position.z));
+            if (distance >= PLAYER_RADIUS + PROJECTILE_RADIUS) return true;
+
+            const push = new THREE.Vector3(hazard.direction.x, 0, hazard.direction.z);
+            if (push.lengthSq() > 0) {
+                push.normalize().multiplyScalar(force);
+            }
+            knockBody(player, push, lift);
+            hazard.mesh.remove(shot.mesh);
+            return false;
+        });
+    }
+});
+
+registerHazardType('wind', {
+    fields: {
+        size: [4, 4, 4],
+        force: [0, 0, -30]  // Acceleration added to the player's velocity inside the volume
+    },
+    validate(config) {
+        return config.size.some(v => v <= 0) ? ['size: expected positive values'] : [];
+    },
+    create(hazard) {
+        const size = new THREE.Vector3().fromArray(hazard.config.size);
+        hazard.size = size;
+        hazard.force = new THREE.Vector3().fromArray(hazard.config.force);
+
+        const volume = new THREE.Mesh(
+            new THREE.BoxGeometry(size.x, size.y, size.z),
+            new THREE.MeshBasicMaterial({ color: 0xaaddff, transparent: true, opacity: 0.08, depthWrite: false })
+        );
+
+        // Streaks drifting with the wind, spread evenly through the volume
+        const count = 30;
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = ((i * 0.618) % 1 - 0.5) * size.x;
+            positions[i * 3 + 1] = ((i * 0.382) % 1 - 0.5) * size.y;
+            positions[i * 3 + 2] = ((i * 0.754) % 1 - 0.5) * size.z;
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        hazard.streaks = new THREE.Points(geometry, new THREE.PointsMaterial({ color: 0xffffff, size: 0.1, transparent: true, opacity: 0.6 }));
+
+        hazard.mesh.add(volume, hazard.streaks);
+    },
+    update(hazard, delta) {
+        const attribute = hazard.streaks.geometry.attributes.position;
+        const drift = hazard.force.clone().normalize().multiplyScalar(4 * delta);
+        const half = hazard.size.clone().multiplyScalar(0.5);
+
+        for (let i = 0; i < attribute.count; i++) {
+            ['x', 'y', 'z'].forEach((axis, a) => {
+                let value = attribute.array[i * 3 + a] + drift[axis];
+                if (value > half[axis]) value -= hazard.size[axis];
+                if (value < -half[axis]) value += hazard.size[axis];
+                attribute.array[i * 3 + a] = value;
+            });
+        }
+        attribute.needsUpdate = true;
+    },
+    affectPlayer(hazard, player, delta) {
+        // Test the middle of the body against the volume
+        const body = player.position.clone();
+        body.y -= PLAYER_EYE_HEIGHT / 2;
+
+        const box = new THREE.Box3().setFromCenterAndSize(hazard.mesh.position, hazard.size);
+        if (box.containsPoint(body)) {
+            pushBody(player, hazard.force.clone().multiplyScalar(delta));
+        }
+    }
+});
+
+class Hazard {
+    constructor(config) {
+        this.type = config.type;
+        this.definition = HAZARD_TYPES[config.type];
+        this.config = { ...this.definition.fields, ...config };
+
+        this.mesh = new THREE.Group();
+        this.mesh.position.fromArray(config.position);
+        this.definition.create(this);
+    }
+
+    update(delta, world) {
+        if (this.definition.update) {
+            this.definition.update(this, delta, world);
+        }
+    }
+
+    affectPlayer(player, delta) {
+        if (this.definition.affectPlayer) {
+            this.definition.affectPlayer(this, player, delta);
+        }
+    }
+}
+
+function updateHazards(world, delta) {
+    world.hazards.forEach(h => h.update(delta, world));
+
+    world.bodies.forEach(body => {
+        if (body.respawnCountdown > 0) return;
+        world.hazards.forEach(h => h.affectPlayer(body, delta));
+    });
+}
+
+// ========================================
+// BODY
+// ========================================
+//
+// Everything the simulation knows about one player. game.js extends it with
+// the visible model; under Node a plain Body is enough.
+
+// What a body is asking for this tick
+function createControls() {
+    return {
+        moveX: 0,         // -1 (left) .. 1 (right)
+        moveY: 0,         // -1 (back) .. 1 (forward)
+        jump: false,
+        isRunning: false,
+        dash: false
+    };
+}
+
+function createMovementState() {
+    return {
+        jumpHeld: false,           // Jump button state last tick, to find presses
+        dashHeld: false,
+        coyoteTimer: 0,            // > 0 while a ground jump is still allowed
+        coyotePlatform: null,      // Platform last stood on, decides the coyote jump's strength
+        jumpBufferTimer: 0,        // > 0 while an early jump press waits for a chance to jump
+        isJumpRising: false,       // Releasing jump now cuts the jump short
+        airJumps: 0,               // Double jumps left before landing
+        canDash: false,            // Air dash not used since landing
+        dashTimer: 0,              // > 0 while dashing
+        dashDirection: new THREE.Vector2(), // Move input (x right, y forward) the dash follows
+        wallTimer: 0,              // > 0 shortly after touching a wall in the air
+        wallNormal: new THREE.Vector3()
+    };
+}
+
+class Body {
+    constructor(controls = createControls()) {
+        this.controls = controls;
+        this.position = new THREE.Vector3(0, 2, 0); // Eye position
+        this.previousPosition = new THREE.Vector3(); // Position before the last step, for render interpolation
+        this.yaw = 0;
+        this.pitch = 0;
+
+        this.velocity = new THREE.Vector3();          // Camera-relative: x right, z back
+        this.isOnGround = false;
+        this.currentPlatform = null;
+        this.platformVelocity = new THREE.Vector3();  // World velocity of the platform being stood on
+        this.inheritedVelocity = new THREE.Vector3(); // Platform momentum kept after leaving it
+        this.movement = createMovementState();        // Jump timers and abilities used, reset on every spawn
+        this.lavaTimer = 0;
+
+        // Stage progress, reset by addBody
+        this.checkpointReached = false;
+        this.activeRespawnFlag = null; // Last flag touched, null = stage spawn
+        this.respawnCountdown = 0;     // > 0 while fading out after a death
+        this.deaths = 0;
+
+        this.events = []; // { type, ... } collected during the last stepWorld
+    }
+
+    // Horizontal facing direction, used for movement
+    getForward(target) {
+        return target.set(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+    }
+
+    // Full look direction including pitch
+    getLookDirection(target) {
+        const cosPitch = Math.cos(this.pitch);
+        return target.set(
+            -Math.sin(this.yaw) * cosPitch,
+            Math.sin(this.pitch),
+            -Math.cos(this.yaw) * cosPitch
+        );
+    }
+
+    look(deltaYaw, deltaPitch) {
+        this.yaw += deltaYaw;
+        this.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.pitch + deltaPitch));
+    }
+}
+
+function emit(body, type, details) {
+    body.events.push(Object.assign({ type }, details));
+}
+
+// ========================================
+// WORLD
+// ========================================
+//
+// A world is one stage in play: its platforms and hazards, the points
+// bodies can reach, and the bodies themselves. Stage configs are the level
+// format's JSON; optional fields may be left out.
+
+function createWorld(stageConfig, bodies = []) {
+    const world = {
+        stage: stageConfig,
+        abilities: getStageAbilities(stageConfig),  // ABILITIES turned on for the stage
+        spawnPoint: new THREE.Vector3().fromArray(stageConfig.spawnPoint),
+        checkpoint: stageConfig.checkpoint ? new THREE.Vector3().fromArray(stageConfig.checkpoint) : null,
+        platforms: stageConfig.platforms.map(createPlatform),
+        hazards: (stageConfig.hazards || []).map(config => new Hazard(config)),
+        respawnFlags: (stageConfig.respawnPoints || []).map(point => ({ position: new THREE.Vector3().fromArray(point) })),
+        collectibles: (stageConfig.collectibles || []).map(point => ({ position: new THREE.Vector3().fromArray(point), collected: false })),
+        fallLimit: FALL_LIMIT_Y,  // Bodies below this die
+        bodies: [],
+        time: 0
+    };
+    bodies.forEach(body => addBody(world, body));
+    return world;
+}
+
+function createPlatform(config) {
+    return new Platform(
+        config.position[0], config.position[1], config.position[2],
+        config.size[0], config.size[1], config.size[2],
+        config.type,
+        config.moveData,
+        config.options
+    );
+}
+
+function getStageAbilities(stage) {
+    const abilities = {};
+    Object.keys(ABILITIES).forEach(key => {
+        abilities[key] = Boolean(stage.abilities && stage.abilities[key] === true);
+    });
+    return abilities;
+}
+
+// Puts a body at the spawn point with a fresh start on the stage
+function addBody(world, body) {
+    world.bodies.push(body);
+    body.checkpointReached = false;
+    body.activeRespawnFlag = null;
+    body.respawnCountdown = 0;
+    body.deaths = 0;
+    body.events = [];
+    placeBody(body, world.spawnPoint);
+}
+
+// Moves a body to a point, standing still and in the air
+function placeBody(body, point) {
+    body.currentPlatform = null;
+    body.position.copy(point);
+    body.previousPosition.copy(point);
+    body.velocity.set(0, 0, 0);
+    body.platformVelocity.set(0, 0, 0);
+    body.inheritedVelocity.set(0, 0, 0);
+    body.isOnGround = false;
+    body.movement = createMovementState();
+    body.lavaTimer = 0;
+}
+
+// One fixed step of the whole stage. Each body's controls must already hold
+// this tick's input; what happened is left in body.events.
+function stepWorld(world, delta) {
+    world.bodies.forEach(body => {
+        body.events = [];
+        body.previousPosition.copy(body.position);
+    });
+    world.platforms.forEach(p => p.previousPosition.copy(p.mesh.position));
+
+    world.bodies.forEach(body => {
+        if (body.respawnCountdown > 0) {
+            tickRespawn(world, body, delta);
+        } else {
+            updatePhysics(world, body, delta);
+            checkCollectibles(world, body);
+            checkRespawnFlags(world, body);
+            checkCheckpoint(world, body);
+        }
+    });
+
+    // Update platforms, then move whoever stands on them
+    world.platforms.forEach(p => p.update(delta));
+    world.bodies.forEach(body => carryBodyWithPlatform(body, delta));
+    updateHazards(world, delta);
+
+    world.time += delta;
+}
+
+// Steps the world with scripted input: script(tick, body) returns the body's
+// controls for that tick (missing fields are released), plus yaw/pitch to
+// turn. Stops after `ticks` steps or once until(world) is true.
+// Returns the number of steps taken and every event with its tick.
+function runScript(world, script, { ticks = 6000, until = null, step = PHYSICS_STEP } = {}) {
+    const events = [];
+    let tick = 0;
+
+    while (tick < ticks && !(until && until(world))) {
+        world.bodies.forEach(body => {
+            const { yaw, pitch, ...input } = script(tick, body) || {};
+            Object.assign(body.controls, createControls(), input);
+            if (yaw !== undefined) body.yaw = yaw;
+            if (pitch !== undefined) body.pitch = pitch;
+        });
+
+        stepWorld(world, step);
+        world.bodies.forEach((body, index) => {
+            body.events.forEach(event => events.push(Object.assign({ tick, body: index }, event)));
+        });
+        tick++;
+    }
+
+    return { ticks: tick, events };
+}
+
+function countCollected(world) {
+    return world.collectibles.filter(gem => gem.collected).length;
+}
+
+// ========================================
+// SNAPSHOTS
+// ========================================
+//
+// saveWorld copies everything stepping can change, so a search can try
+// different inputs from the same moment and restoreWorld back as often as it
+// likes. Platforms, hazards, flags and gems keep their identity (other state
+// points at them); a body's controls are input, not state, and are left alone.
+
+function saveWorld(world) {
+    const shared = getSharedObjects(world);
+    const meshes = new Map();
+    const save = object => {
+        const state = {};
+        Object.keys(object).forEach(key => {
+            state[key] = copyState(object[key], shared, meshes);
+        });
+        return { object, state };
+    };
+
+    return {
+        time: world.time,
+        fallLimit: world.fallLimit,
+        platforms: world.platforms.slice(),
+        collected: world.collectibles.map(gem => gem.collected),
+        objects: [...world.platforms, ...world.hazards, ...world.bodies].map(save),
+        meshes
+    };
+}
+
+function restoreWorld(world, snapshot) {
+    const shared = getSharedObjects(world);
+
+    world.time = snapshot.time;
+    world.fallLimit = snapshot.fallLimit;
+    world.platforms = snapshot.platforms.slice();
+    world.collectibles.forEach((gem, i) => {
+        gem.collected = snapshot.collected[i];
+    });
+    snapshot.objects.forEach(({ object, state }) => {
+        Object.keys(state).forEach(key => {
+            object[key] = copyState(state[key], shared, null);
+        });
+    });
+
+    snapshot.meshes.forEach((saved, mesh) => {
+        mesh.position.copy(saved.position);
+        mesh.quaternion.copy(saved.quaternion);
+        mesh.visible = saved.visible;
+        mesh.children = saved.children.slice();
+        mesh.children.forEach(child => {
+            child.parent = mesh;
+        });
+    });
+    world.platforms.forEach(p => p.mesh.updateMatrixWorld());
+}
+
+function getSharedObjects(world) {
+    return new Set([
+        ...world.platforms, ...world.platforms.map(p => p.definition),
+        ...world.hazards, ...world.hazards.map(h => h.definition),
+        ...world.respawnFlags, ...world.collectibles,
+        ...world.bodies, ...world.bodies.map(body => body.controls)
+    ]);
+}
+
+// Deep copy of plain data and THREE math objects. Meshes stay the same
+// objects; when `meshes` is given their transforms and children go in it.
+function copyState(value, shared, meshes) {
+    if (value === null || typeof value !== 'object' || shared.has(value)) return value;
+
+    if (value.isObject3D) {
+        if (meshes && !meshes.has(value)) {
+            meshes.set(value, {
+                position: value.position.clone(),
+                quaternion: value.quaternion.clone(),
+                visible: value.visible,
+                children: value.children.slice()
+            });
+            value.children.forEach(child => copyState(child, shared, meshes));
+        }
+        return value;
+    }
+    if (value.isVector2 || value.isVector3 || value.isQuaternion || value.isEuler || value.isMatrix4) {
+        return value.clone();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => copyState(item, shared, meshes));
+    }
+    if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = copyState(value[key], shared, meshes);
+    });
+    return copy;
+}
+
+// ========================================
+// PHYSICS SYSTEM
+// ========================================
+
+function updatePhysics(world, body, delta) {
+    const { controls, velocity, movement } = body;
+
+    // Apply gravity (held off during an air dash)
+    if (!body.isOnGround && movement.dashTimer <= 0) {
+        velocity.y -= MOVEMENT_PROFILE.gravity * delta;
+        velocity.y = Math.max(velocity.y, -MOVEMENT_PROFILE.terminalVelocity);
+    }
+
+    // Ground detection
+    checkGroundCollision(world, body);
+
+    updateJump(world, body, delta);
+    updateDash(body, delta);
+
+    // Auto-launch (jump pad)
+    const launch = getPlatformPhysics(body.currentPlatform).launchMultiplier;
+    if (launch > 0 && body.isOnGround) {
+        velocity.y = MOVEMENT_PROFILE.jumpForce * launch;
+        body.isOnGround = false;
+        movement.coyoteTimer = 0;
+        emit(body, 'launch');
+    }
+
+    // Apply velocity
+    if (movement.dashTimer > 0) {
+        // Dashing: fixed speed along the dash direction, no steering or damping
+        velocity.x = movement.dashDirection.x * MOVEMENT_PROFILE.dashSpeed;
+        velocity.z = -movement.dashDirection.y * MOVEMENT_PROFILE.dashSpeed;
+    } else {
+        const speed = controls.isRunning ? MOVEMENT_PROFILE.runSpeed : MOVEMENT_PROFILE.walkSpeed;
+        const velocityDamping = getPlatformPhysics(body.currentPlatform).damping;
+
+        velocity.x -= velocity.x * velocityDamping * delta;
+        velocity.z -= velocity.z * velocityDamping * delta;
+
+        // Keys give full deflection; a stick pushed part way moves slower
+        const direction = new THREE.Vector3(controls.moveX, 0, controls.moveY);
+        if (direction.lengthSq() > 1) {
+            direction.normalize();
+        }
+
+        velocity.z -= direction.z * speed * delta * 100;
+        velocity.x -= direction.x * speed * delta * 100;
+    }
+
+    // Apply movement
+    const cameraDirection = body.getForward(new THREE.Vector3());
+
+    const right = new THREE.Vector3();
+    right.crossVectors(WORLD_UP, cameraDirection).normalize();
+
+    const moveVector = new THREE.Vector3();
+    moveVector.addScaledVector(cameraDirection, -velocity.z * delta);
+    moveVector.addScaledVector(right, velocity.x * delta);
+    moveVector.y = velocity.y * delta;
+    moveVector.addScaledVector(body.inheritedVelocity, delta);
+
+    // Move with collision against platform walls, undersides and tops
+    const contacts = moveAndCollide(world, body.position, moveVector);
+    const touched = new Map();
+    contacts.forEach(({ normal, platform }) => {
+        if (normal.y >= WALKABLE_NORMAL_Y) {
+            velocity.y = Math.max(velocity.y, 0);
+        } else if (normal.y <= -WALKABLE_NORMAL_Y) {
+            velocity.y = Math.min(velocity.y, 0);
+        } else {
+            // Wall: slide along it by removing the horizontal velocity into it
+            const wall = new THREE.Vector3(normal.x, 0, normal.z).normalize();
+            const worldVelocity = new THREE.Vector3()
+                .addScaledVector(cameraDirection, -velocity.z)
+                .addScaledVector(right, velocity.x);
+
+            const into = worldVelocity.dot(wall);
+            if (into < 0) {
+                worldVelocity.addScaledVector(wall, -into);
+                velocity.z = -worldVelocity.dot(cameraDirection);
+                velocity.x = worldVelocity.dot(right);
+            }
+
+            const inheritedInto = body.inheritedVelocity.dot(wall);
+            if (inheritedInto < 0) {
+                body.inheritedVelocity.addScaledVector(wall, -inheritedInto);
+            }
+
+            // Remember the wall for a moment so a wall jump doesn't need frame-perfect timing
+            if (!body.isOnGround) {
+                movement.wallNormal.copy(wall);
+                movement.wallTimer = MOVEMENT_PROFILE.wallJumpGrace;
+            }
+
+            touched.set(platform, normal);
+        }
+    });
+
+    // Side hits (bumpers), once per platform per step
+    touched.forEach((normal, platform) => platform.onTouch(body, normal));
+
+    // Fall detection
+    if (body.position.y < world.fallLimit) {
+        killBody(body);
+    }
+
+    // Platform effects
+    if (body.currentPlatform) {
+        body.currentPlatform.handleEffect(body, delta);
+    }
+}
+
+// Coyote time, jump buffering, variable jump height and the air jumps the stage allows
+function updateJump(world, body, delta) {
+    const { controls, velocity, movement } = body;
+    const pressed = controls.jump && !movement.jumpHeld;
+    movement.jumpHeld = controls.jump;
+
+    if (body.isOnGround) {
+        movement.coyoteTimer = MOVEMENT_PROFILE.coyoteTime;
+        movement.coyotePlatform = body.currentPlatform;
+        movement.airJumps = world.abilities.doubleJump ? 1 : 0;
+        movement.canDash = world.abilities.airDash;
+    } else {
+        movement.coyoteTimer = Math.max(0, movement.coyoteTimer - delta);
+    }
+    movement.wallTimer = Math.max(0, movement.wallTimer - delta);
+    movement.jumpBufferTimer = pressed
+        ? MOVEMENT_PROFILE.jumpBuffer
+        : Math.max(0, movement.jumpBufferTimer - delta);
+
+    // Letting go while still rising gives a shorter jump
+    if (movement.isJumpRising && (!controls.jump || velocity.y <= 0)) {
+        if (velocity.y > 0) {
+            velocity.y *= MOVEMENT_PROFILE.jumpCutMultiplier;
+        }
+        movement.isJumpRising = false;
+    }
+
+    if (movement.jumpBufferTimer <= 0) return;
+
+    if (movement.coyoteTimer > 0) {
+        // Platform type may boost the jump (slime)
+        const jumpMultiplier = getPlatformPhysics(movement.coyotePlatform).jumpMultiplier;
+        startJump(body, MOVEMENT_PROFILE.jumpForce * jumpMultiplier, jumpMultiplier > 1 ? 'bounce' : 'ground');
+    } else if (world.abilities.wallJump && movement.wallTimer > 0) {
+        // Kick off the wall: the horizontal speed is replaced by a push away from it
+        velocity.x = 0;
+        velocity.z = 0;
+        pushBody(body, movement.wallNormal.clone().multiplyScalar(MOVEMENT_PROFILE.wallJumpPush));
+        movement.wallTimer = 0;
+        startJump(body, MOVEMENT_PROFILE.wallJumpForce, 'wall');
+    } else if (movement.airJumps > 0) {
+        movement.airJumps--;
+        startJump(body, MOVEMENT_PROFILE.doubleJumpForce, 'double');
+    }
+}
+
+// kind: 'ground' | 'bounce' (slime) | 'wall' | 'double', passed on in the jump event
+function startJump(body, speed, kind) {
+    body.velocity.y = speed;
+    body.isOnGround = false;
+    body.movement.coyoteTimer = 0;
+    body.movement.jumpBufferTimer = 0;
+    body.movement.isJumpRising = true;
+    body.movement.dashTimer = 0;
+    emit(body, 'jump', { kind });
+}
+
+// Air dash: a short burst along the move input (or straight ahead), once per airtime
+function updateDash(body, delta) {
+    const { controls, movement } = body;
+    const pressed = controls.dash && !movement.dashHeld;
+    movement.dashHeld = controls.dash;
+    movement.dashTimer = Math.max(0, movement.dashTimer - delta);
+
+    if (!pressed || body.isOnGround || !movement.canDash) return;
+
+    movement.dashDirection.set(controls.moveX, controls.moveY);
+    if (movement.dashDirection.lengthSq() === 0) {
+        movement.dashDirection.set(0, 1);
+    }
+    movement.dashDirection.normalize();
+    movement.dashTimer = MOVEMENT_PROFILE.dashTime;
+    movement.canDash = false;
+    movement.isJumpRising = false;
+    body.velocity.y = 0;
+    emit(body, 'dash');
+}
+
+// Adds a world-space push to the camera-relative velocity
+function pushBody(body, push) {
+    const forward = body.getForward(new THREE.Vector3());
+    const right = new THREE.Vector3().crossVectors(WORLD_UP, forward).normalize();
+
+    body.velocity.z -= push.dot(forward);
+    body.velocity.x += push.dot(right);
+    body.velocity.y += push.y;
+}
+
+// Knocks the player off their feet: a world-space push plus an upward pop
+function knockBody(body, push, lift) {
+    pushBody(body, push);
+    body.velocity.y = Math.max(body.velocity.y, lift);
+    body.isOnGround = false;
+    body.movement.coyoteTimer = 0;
+    body.movement.isJumpRising = false;
+    body.movement.dashTimer = 0;
+}
+
+function checkGroundCollision(world, body) {
+    const ground = body.velocity.y <= 0 ? findGround(world, body.position) : null;
+
+    if (ground) {
+        if (!body.isOnGround) {
+            emit(body, 'land', { impact: -body.velocity.y });
+        }
+        body.isOnGround = true;
+        setCurrentPlatform(body, ground.platform);
+
+        // Settle onto the surface
+        body.velocity.y = 0;
+        body.position.y = ground.eyeY;
+    } else {
+        body.isOnGround = false;
+        setCurrentPlatform(body, null);
+    }
+}
+
+function setCurrentPlatform(body, platform) {
+    if (body.currentPlatform === platform) return;
+
+    if (body.currentPlatform) {
+        body.currentPlatform.onLeave(body);
+    }
+
+    if (platform) {
+        body.inheritedVelocity.set(0, 0, 0);
+    } else {
+        // Leaving a platform (jumping or walking off) keeps its momentum
+        body.inheritedVelocity.set(body.platformVelocity.x, 0, body.platformVelocity.z);
+        body.velocity.y += body.platformVelocity.y;
+    }
+    body.platformVelocity.set(0, 0, 0);
+
+    body.currentPlatform = platform;
+    if (platform) {
+        platform.onLand(body);
+    }
+}
+
+function carryBodyWithPlatform(body, delta) {
+    if (!body.isOnGround || !body.currentPlatform) return;
+
+    const offset = body.currentPlatform.getCarryOffset(body.position, new THREE.Vector3(), delta);
+    body.position.add(offset);
+    body.platformVelocity.copy(offset).divideScalar(delta);
+}
+
+// ========================================
+// COLLISION
+// ========================================
+//
+// The player is a vertical capsule: a segment from just above the feet to
+// just below the head, with radius PLAYER_RADIUS. Platforms are axis-aligned
+// boxes. Contacts whose normal points mostly up are ground, mostly down are
+// ceilings, everything else (including rounded ledge edges) is a wall.
+
+function getCapsuleSegment(eyePosition) {
+    return {
+        bottom: eyePosition.y - PLAYER_EYE_HEIGHT + PLAYER_RADIUS,
+        top: eyePosition.y + PLAYER_HEAD_HEIGHT - PLAYER_RADIUS
+    };
+}
+
+// Returns { normal, depth } pushing the capsule out of the box, or null
+function capsuleBoxContact(eyePosition, box) {
+    const segment = getCapsuleSegment(eyePosition);
+    const px = eyePosition.x;
+    const pz = eyePosition.z;
+
+    const cx = Math.max(box.min.x, Math.min(px, box.max.x));
+    const cz = Math.max(box.min.z, Math.min(pz, box.max.z));
+
+    let sy, cy;
+    if (segment.top < box.min.y) {
+        sy = segment.top;
+        cy = box.min.y;
+    } else if (segment.bottom > box.max.y) {
+        sy = segment.bottom;
+        cy = box.max.y;
+    } else {
+        sy = cy = (Math.max(segment.bottom, box.min.y) + Math.min(segment.top, box.max.y)) / 2;
+    }
+
+    const offset = new THREE.Vector3(px - cx, sy - cy, pz - cz);
+    const distance = offset.length();
+    if (distance >= PLAYER_RADIUS) return null;
+
+    if (distance > 1e-6) {
+        return { normal: offset.divideScalar(distance), depth: PLAYER_RADIUS - distance };
+    }
+
+    // Capsule axis is inside the box: push out the shortest way
+    const exits = [
+        { normal: new THREE.Vector3(1, 0, 0), depth: box.max.x - px + PLAYER_RADIUS },
+        { normal: new THREE.Vector3(-1, 0, 0), depth: px - box.min.x + PLAYER_RADIUS },
+        { normal: new THREE.Vector3(0, 0, 1), depth: box.max.z - pz + PLAYER_RADIUS },
+        { normal: new THREE.Vector3(0, 0, -1), depth: pz - box.min.z + PLAYER_RADIUS },
+        { normal: new THREE.Vector3(0, 1, 0), depth: box.max.y - segment.bottom + PLAYER_RADIUS },
+        { normal: new THREE.Vector3(0, -1, 0), depth: segment.top - box.min.y + PLAYER_RADIUS }
+    ];
+    return exits.reduce((best, exit) => exit.depth < best.depth ? exit : best);
+}
+
+// Moves the eye position by `move` in sub-steps short enough that the capsule
+// can't skip over a platform, pushing it out of anything it overlaps.
+// Returns the contacts ({ normal, platform }) that were hit.
+function moveAndCollide(world, position, move) {
+    const steps = Math.max(1, Math.ceil(move.length() / (PLAYER_RADIUS * 0.5)));
+    const step = move.clone().divideScalar(steps);
+    const box = new THREE.Box3();
+    const contacts = [];
+
+    for (let i = 0; i < steps; i++) {
+        position.add(step);
+
+        // A few passes settle corners where two boxes push at once
+        for (let pass = 0; pass < 3; pass++) {
+            let resolved = false;
+            world.platforms.forEach(p => {
+                if (!p.solid) return;
+
+                const contact = capsuleBoxContact(position, p.getBox(box));
+                if (!contact) return;
+
+                position.addScaledVector(contact.normal, contact.depth);
+                contacts.push({ normal: contact.normal, platform: p });
+                resolved = true;
+
+                // Stop moving into the surface for the remaining sub-steps
+                const into = step.dot(contact.normal);
+                if (into < 0) {
+                    step.addScaledVector(contact.normal, -into);
+                }
+            });
+            if (!resolved) break;
+        }
+    }
+
+    return contacts;
+}
+
+// Looks for a walkable surface within GROUND_PROBE under the capsule's bottom
+// sphere. Near a ledge the sphere rests on the edge until its centre is too
+// far out for the contact to count as walkable.
+function findGround(world, eyePosition) {
+    const sphereY = getCapsuleSegment(eyePosition).bottom;
+    const maxOverhang = PLAYER_RADIUS * Math.sqrt(1 - WALKABLE_NORMAL_Y * WALKABLE_NORMAL_Y);
+    const box = new THREE.Box3();
+    let ground = null;
+
+    world.platforms.forEach(p => {
+        if (!p.solid) return;
+        p.getBox(box);
+
+        const dx = eyePosition.x - Math.max(box.min.x, Math.min(eyePosition.x, box.max.x));
+        const dz = eyePosition.z - Math.max(box.min.z, Math.min(eyePosition.z, box.max.z));
+        const overhang = Math.sqrt(dx * dx + dz * dz);
+        if (overhang > maxOverhang) return;
+
+        // Height of the sphere centre when resting on this box
+        const restY = box.max.y + Math.sqrt(PLAYER_RADIUS * PLAYER_RADIUS - overhang * overhang);
+        const gap = sphereY - restY;
+        if (gap > GROUND_PROBE || gap < -PLAYER_RADIUS) return;
+
+        if (!ground || restY > ground.restY) {
+            ground = { platform: p, restY };
+        }
+    });
+
+    if (!ground) return null;
+    return {
+        platform: ground.platform,
+        eyeY: ground.restY - PLAYER_RADIUS + PLAYER_EYE_HEIGHT
+    };
+}
+
+// ========================================
+// STAGE RULES
+// ========================================
+
+function checkCheckpoint(world, body) {
+    if (!world.checkpoint || body.checkpointReached) return;
+
+    if (body.position.distanceTo(world.checkpoint) < CHECKPOINT_RADIUS) {
+        body.checkpointReached = true;
+        emit(body, 'checkpoint');
+    }
+}
+
+function checkCollectibles(world, body) {
+    world.collectibles.forEach(gem => {
+        if (gem.collected) return;
+        if (body.position.distanceTo(gem.position) >= COLLECTIBLE_RADIUS) return;
+
+        gem.collected = true;
+        emit(body, 'collect', { collectible: gem });
+    });
+}
+
+function checkRespawnFlags(world, body) {
+    world.respawnFlags.forEach(flag => {
+        if (flag === body.activeRespawnFlag) return;
+        if (body.position.distanceTo(flag.position) >= RESPAWN_FLAG_RADIUS) return;
+
+        const previous = body.activeRespawnFlag;
+        body.activeRespawnFlag = flag;
+        emit(body, 'flag', { flag, previous });
+    });
+}
+
+// ========================================
+// DEATH & RESPAWN
+// ========================================
+//
+// A death starts a RESPAWN_DELAY countdown, then the body reappears at the
+// last flag it touched (or the stage spawn). Whether a death ends the run
+// instead (hardcore, endless) is up to whoever handles the death event.
+
+function killBody(body, message) {
+    if (body.respawnCountdown > 0) return;
+
+    body.deaths++;
+    body.respawnCountdown = RESPAWN_DELAY;
+    emit(body, 'death', { message });
+}
+
+function tickRespawn(world, body, delta) {
+    body.respawnCountdown -= delta;
+    if (body.respawnCountdown <= 0) {
+        body.respawnCountdown = 0;
+        respawnBody(world, body);
+    }
+}
+
+function respawnBody(world, body) {
+    setCurrentPlatform(body, null);
+    placeBody(body, body.activeRespawnFlag ? body.activeRespawnFlag.position : world.spawnPoint);
+    emit(body, 'respawn');
+}
+
+// ========================================
+// STAGE FORMAT
+// ========================================
+//
+// Checks that a stage has every field well-formed, so createWorld can build
+// it. game.js adds layout checks on top for the editor and level packs.
+
+function validateStageFields(stage) {
+    if (!isPlainObject(stage)) {
+        return ['expected a stage object'];
+    }
+
+    const errors = [];
+    if (typeof stage.name !== 'string' || stage.name.length === 0) {
+        errors.push('name: missing');
+    }
+    if (!isVector3(stage.spawnPoint)) {
+        errors.push('spawnPoint: expected [x, y, z]');
+    }
+    if (!isVector3(stage.checkpoint)) {
+        errors.push('checkpoint: expected [x, y, z]');
+    }
+    if (stage.respawnPoints !== undefined &&
+        !(Array.isArray(stage.respawnPoints) && stage.respawnPoints.every(isVector3))) {
+        errors.push('respawnPoints: expected an array of [x, y, z]');
+    }
+    if (stage.collectibles !== undefined &&
+        !(Array.isArray(stage.collectibles) && stage.collectibles.every(isVector3))) {
+        errors.push('collectibles: expected an array of [x, y, z]');
+    }
+    if (stage.parTime !== undefined && !(Number.isFinite(stage.parTime) && stage.parTime > 0)) {
+        errors.push('parTime: expected a positive number of seconds');
+    }
+    if (stage.starsRequired !== undefined && !(Number.isInteger(stage.starsRequired) && stage.starsRequired >= 0)) {
+        errors.push('starsRequired: expected a whole number, 0 or more');
+    }
+    if (stage.abilities !== undefined) {
+        if (!isPlainObject(stage.abilities)) {
+            errors.push('abilities: expected an object');
+        } else {
+            Object.keys(stage.abilities).forEach(key => {
+                if (!ABILITIES.hasOwnProperty(key)) {
+                    errors.push(`abilities.${key}: unknown ability (expected ${Object.keys(ABILITIES).join(', ')})`);
+                } else if (typeof stage.abilities[key] !== 'boolean') {
+                    errors.push(`abilities.${key}: expected true or false`);
+                }
+            });
+        }
+    }
+    if (!Array.isArray(stage.platforms) || stage.platforms.length === 0) {
+        errors.push('platforms: expected a non-empty array');
+        return errors;
+    }
+
+    stage.platforms.forEach((platform, index) => {
+        validatePlatform(platform).forEach(error => errors.push(`platforms[${index}].${error}`));
+    });
+
+    if (stage.hazards !== undefined) {
+        if (!Array.isArray(stage.hazards)) {
+            errors.push('hazards: expected an array');
+        } else {
+            stage.hazards.forEach((hazard, index) => {
+                validateHazard(hazard).forEach(error => errors.push(`hazards[${index}].${error}`));
+            });
+        }
+    }
+
+    return errors;
+}
+
+function validatePlatform(platform) {
+    if (!isPlainObject(platform)) {
+        return ['expected a platform object'];
+    }
+
+    const errors = [];
+    const definition = PLATFORM_TYPES.hasOwnProperty(platform.type) ? PLATFORM_TYPES[platform.type] : null;
+    if (!definition) {
+        errors.push(`type: unknown type ${JSON.stringify(platform.type)} (expected one of ${Object.keys(PLATFORM_TYPES).join(', ')})`);
+    }
+    if (!isVector3(platform.position)) {
+        errors.push('position: expected [x, y, z]');
+    }
+    if (platform.size === undefined) {
+        errors.push('size: missing');
+    } else if (!isVector3(platform.size) || platform.size.some(v => v <= 0)) {
+        errors.push('size: expected [width, height, depth] with positive values');
+    }
+
+    if (definition && definition.usesMoveData) {
+        const move = platform.moveData;
+        if (!isPlainObject(move)) {
+            errors.push(`moveData: missing (required for ${platform.type} platforms)`);
+        } else {
+            ['endX', 'endY', 'endZ'].forEach(key => {
+                if (!Number.isFinite(move[key])) {
+                    errors.push(`moveData.${key}: expected a number`);
+                }
+            });
+            if (move.speed !== undefined && !(Number.isFinite(move.speed) && move.speed > 0)) {
+                errors.push('moveData.speed: expected a positive number');
+            }
+        }
+    } else if (platform.moveData !== undefined) {
+        errors.push('moveData: only allowed on platform types with a path');
+    }
+
+    if (platform.options !== undefined && definition) {
+        errors.push(...validatePlatformOptions(platform.options, definition));
+    }
+
+    return errors;
+}
+
+function validatePlatformOptions(options, definition) {
+    if (!isPlainObject(options)) {
+        return ['options: expected an object'];
+    }
+
+    const defaults = definition.options || {};
+    const errors = [];
+    Object.keys(options).forEach(key => {
+        if (!defaults.hasOwnProperty(key)) {
+            const known = Object.keys(defaults);
+            errors.push(`options.${key}: unknown option (expected ${known.length > 0 ? known.join(', ') : 'none'})`);
+        } else if (!Number.isFinite(options[key])) {
+            errors.push(`options.${key}: expected a number`);
+        }
+    });
+
+    if (errors.length === 0 && definition.validateOptions) {
+        errors.push(...definition.validateOptions({ ...defaults, ...options }));
+    }
+    return errors;
+}
+
+function validateHazard(hazard) {
+    if (!isPlainObject(hazard)) {
+        return ['expected a hazard object'];
+    }
+
+    const definition = HAZARD_TYPES.hasOwnProperty(hazard.type) ? HAZARD_TYPES[hazard.type] : null;
+    if (!definition) {
+        return [`type: unknown type ${JSON.stringify(hazard.type)} (expected one of ${Object.keys(HAZARD_TYPES).join(', ')})`];
+    }
+
+    const errors = [];
+    if (!isVector3(hazard.position)) {
+        errors.push('position: expected [x, y, z]');
+    }
+    Object.keys(hazard).forEach(key => {
+        if (key === 'type' || key === 'position') return;
+
+        const fallback = definition.fields[key];
+        if (fallback === undefined) {
+            errors.push(`${key}: unknown field (expected ${Object.keys(definition.fields).join(', ')})`);
+        } else if (Array.isArray(fallback) ? !isVector3(hazard[key]) : !Number.isFinite(hazard[key])) {
+            errors.push(`${key}: expected ${Array.isArray(fallback) ? '[x, y, z]' : 'a number'}`);
+        }
+    });
+
+    if (errors.length === 0 && definition.validate) {
+        errors.push(...definition.validate({ ...definition.fields, ...hazard }));
+    }
+    return errors;
+}
+
+function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        MOVEMENT_PROFILE, ABILITIES, PHYSICS_STEP, PLAYER_EYE_HEIGHT,
+        PLATFORM_TYPES, HAZARD_TYPES, registerPlatformType, registerHazardType, getPlatformType, getPlatformPhysics,
+        Platform, Hazard, Body,
+        createControls, createWorld, addBody, placeBody, stepWorld, runScript, countCollected, getStageAbilities,
+        saveWorld, restoreWorld, validateStageFields
+    };
+}
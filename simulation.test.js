@@ -0,0 +1,66 @@
+// ========================================
+// 점프맵 (Jump Map) - Simulation Tests
+// ========================================
+// Plays scripted inputs on built-in stages through the real simulation.
+//
+//     node --test
+//
+// Needs three (npm install three@0.128).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    PLAYER_EYE_HEIGHT, Body, createWorld, runScript, saveWorld, restoreWorld
+} = require('./simulation.js');
+const BUILTIN_LEVELS = require('./levels.js');
+
+const JUMP_PAD_STAGE = BUILTIN_LEVELS.stages.find(stage => stage.id === 5);
+const RUN_UP_TICKS = 26;  // Running this long from the spawn lands on the first jump pad
+
+// Runs onto the jump pad and lets go of the stick; returns the highest the
+// feet got and the events of the run
+function playJumpPad(world, body, startTick = 0) {
+    let peak = -Infinity;
+    const { events } = runScript(world, tick => {
+        peak = Math.max(peak, body.position.y - PLAYER_EYE_HEIGHT);
+        return tick + startTick < RUN_UP_TICKS ? { moveY: 1, isRunning: true } : {};
+    }, { ticks: 240 - startTick });
+    return { peak, events };
+}
+
+test('standing still stays on the spawn platform', () => {
+    const body = new Body();
+    const world = createWorld(JUMP_PAD_STAGE, [body]);
+    const { events } = runScript(world, () => ({}), { ticks: 240 });
+
+    assert.deepEqual(events.map(event => event.type), ['land']);
+    assert.equal(body.isOnGround, true);
+    assert.equal(body.deaths, 0);
+});
+
+test('the jump pad launches the player above the next platform', () => {
+    const body = new Body();
+    const world = createWorld(JUMP_PAD_STAGE, [body]);
+    const { peak, events } = playJumpPad(world, body);
+
+    assert.ok(events.some(event => event.type === 'launch'), 'expected a launch event');
+    assert.ok(peak >= 8, `expected the feet to reach y = 8, peaked at ${peak.toFixed(2)}`);
+    assert.equal(body.deaths, 0);
+});
+
+test('restoreWorld replays a run exactly', () => {
+    const body = new Body();
+    const world = createWorld(JUMP_PAD_STAGE, [body]);
+    runScript(world, () => ({ moveY: 1, isRunning: true }), { ticks: 10 });
+
+    const snapshot = saveWorld(world);
+    const first = playJumpPad(world, body, 10);
+    const firstPosition = body.position.toArray();
+
+    restoreWorld(world, snapshot);
+    const second = playJumpPad(world, body, 10);
+
+    assert.equal(second.peak, first.peak);
+    assert.deepEqual(second.events, first.events);
+    assert.deepEqual(body.position.toArray(), firstPosition);
+});